@@ -7,20 +7,66 @@
 require("dotenv").config();
 
 const path = require("path");
+const crypto = require("crypto");
 const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
 const compression = require("compression");
-const { Client } = require("@googlemaps/google-maps-services-js");
+const { createPlacesProvider } = require("../lib/places");
+const { scoreCandidates, assessMatch, domainOf } = require("../lib/places/match");
+const { createCache } = require("../lib/cache");
+const { createAuditStore, toAuditRecord, buildHistory } = require("../lib/audits");
+const { runWithLimit } = require("../lib/limit");
+const {
+  createJobQueue,
+  parseJobRows,
+  resultRows,
+  resultsToCsv,
+} = require("../lib/jobs");
+const {
+  buildReportModel,
+  renderReportHtml,
+  renderReportPdf,
+  reportBrand,
+} = require("../lib/report");
+const {
+  getProfile,
+  listVersions,
+  gbpFacts,
+  scoreGBPFacts,
+  scoreWebsite,
+  decidePath,
+} = require("../lib/scoring");
+const { simulateScore } = require("../lib/scoring/simulate");
+const { quickEstimate } = require("../lib/scoring/quick");
+const { gapAnalysis } = require("../lib/scoring/gaps");
+const { getTrade, listTrades, searchTerm, searchQueries } = require("../lib/trades");
+const { latLngOf, distanceKm, areaFromGeocode } = require("../lib/geo");
+const { assessCoverage } = require("../lib/coverage");
+const { analyzeReviews } = require("../lib/reviews");
+const { analyzeHours, isOpenAt } = require("../lib/hours");
+const { buildGrid, rankIn, gridStats, gridView } = require("../lib/rankgrid");
+const { probeSite, servedOverHttps, fetchHtml, checkHttpsRedirect } = require("../lib/site/fetch");
+const { extractSiteSignals } = require("../lib/site/signals");
+const { scoreSitesLite, DEFAULTS: SITE_LITE } = require("../lib/site/lite");
+const { crawlSite, publicCrawl } = require("../lib/site/crawl");
+const { auditStructuredData } = require("../lib/site/schema");
+const { checkNapConsistency } = require("../lib/site/nap");
+const { auditSiteHealth } = require("../lib/site/health");
+const { analyzeRelevance } = require("../lib/site/relevance");
+const { buildRecommendations } = require("../lib/recommendations");
 
 // ===== Env / Startup guards =====
 const PORT = process.env.PORT || 10000;
 const NODE_ENV = process.env.NODE_ENV || "development";
 const IS_PRODUCTION = NODE_ENV === "production";
 
-// Fail fast if critical server keys are missing
-if (!process.env.GOOGLE_MAPS_API_KEY_SERVER) {
+const PLACES_PROVIDER = (process.env.PLACES_PROVIDER || "google").toLowerCase();
+
+// Fail fast if critical server keys are missing (fixture/replay mode runs keyless)
+const PLACES_KEYLESS = PLACES_PROVIDER === "fixture" || PLACES_PROVIDER === "replay";
+if (!PLACES_KEYLESS && !process.env.GOOGLE_MAPS_API_KEY_SERVER) {
   console.error("FATAL: GOOGLE_MAPS_API_KEY_SERVER secret missing");
   process.exit(1);
 }
@@ -106,6 +152,7 @@ const analyzeLimiter = rateLimit({
   max: 15,
   standardHeaders: true,
   legacyHeaders: false,
+  skip: (req) => isQuick(req), // quick estimates spend no quota; the global /api limit applies
 });
 const competitorLimiter = rateLimit({
   windowMs: 60 * 1000,
@@ -113,33 +160,75 @@ const competitorLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
 });
+const reportLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+const jobsLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 3,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+const gridLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 2,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+// Same budget as /api/analyze, without its quick-mode skip.
+const geocodeLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 15,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
 // ===== Serve widget from root and explicit path (for QR deep-link) =====
 app.get("/", (_req, res) => res.sendFile(path.join(process.cwd(), "widget.html")));
 app.get("/widget.html", (_req, res) => res.sendFile(path.join(process.cwd(), "widget.html")));
 
-// ===== In-memory TTL cache =====
-const _cache = new Map();
-const now = () => Date.now();
-function cacheSet(key, val, ttlMs = 6 * 60 * 60 * 1000) {
-  _cache.set(key, { v: val, exp: now() + ttlMs });
-}
-function cacheGet(key) {
-  const hit = _cache.get(key);
-  if (!hit) return null;
-  if (hit.exp < now()) {
-    _cache.delete(key);
-    return null;
-  }
-  return hit.v;
+// ===== Cache (memory LRU | file-backed; per-namespace TTLs) =====
+let cache;
+try {
+  cache = createCache();
+} catch (e) {
+  console.error(`FATAL: ${e.message}`);
+  process.exit(1);
 }
 function noCache(req) {
   return !!req.query?.nocache || !!req.body?.nocache;
 }
+function isQuick(req) {
+  return req.query?.quick === "1" || req.body?.quick === true || req.body?.quick === 1;
+}
+
+// ===== Audit history (file | memory) =====
+let audits;
+try {
+  audits = createAuditStore();
+} catch (e) {
+  console.error(`FATAL: ${e.message}`);
+  process.exit(1);
+}
 
-// ===== Google Maps client =====
-const maps = new Client({});
-const MAPS_KEY = process.env.GOOGLE_MAPS_API_KEY_SERVER;
+// ===== Places provider (google | fixture | record) =====
+let places;
+try {
+  places = createPlacesProvider({
+    provider: PLACES_PROVIDER,
+    apiKey: process.env.GOOGLE_MAPS_API_KEY_SERVER,
+    fixtureDir: process.env.PLACES_FIXTURE_DIR,
+  });
+} catch (e) {
+  console.error(`FATAL: ${e.message}`);
+  process.exit(1);
+}
+if (!IS_PRODUCTION && places.name !== "google") {
+  console.log(`[info] Places provider: ${places.name}`);
+}
 const EMBED_KEY = process.env.GOOGLE_MAPS_EMBED_KEY;
 
 // ===== Helpers =====
@@ -155,95 +244,6 @@ function normalizeUrl(u) {
   return s;
 }
 
-async function probeSite(url, timeoutMs = 7000) {
-  try {
-    const ctl = new AbortController();
-    const t = setTimeout(() => ctl.abort(), timeoutMs);
-    const res = await fetch(url, { method: "HEAD", redirect: "follow", signal: ctl.signal });
-    clearTimeout(t);
-    if (res.ok || (res.status >= 200 && res.status < 400)) return { ok: true, status: res.status };
-    return { ok: false, status: res.status };
-  } catch (e) {
-    return { ok: false, error: String(e) };
-  }
-}
-
-async function fetchHtml(url, timeoutMs = 8000) {
-  try {
-    const ctl = new AbortController();
-    const t = setTimeout(() => ctl.abort(), timeoutMs);
-    const res = await fetch(url, { redirect: "follow", signal: ctl.signal });
-    clearTimeout(t);
-    if (!res.ok) return { ok: false, status: res.status };
-    const text = await res.text();
-    return { ok: true, text };
-  } catch (e) {
-    return { ok: false, error: String(e) };
-  }
-}
-
-function extractSiteSignals(html) {
-  const out = { titleLen: 0, hasMetaDesc: false, telCount: 0, h1Count: 0, ctaBonus: 0 };
-  if (!html) return out;
-  const titleMatch = html.match(/<title[^>]*>([^<]{0,300})<\/title>/i);
-  out.titleLen = titleMatch ? trimStr(titleMatch[1]).length : 0;
-  out.hasMetaDesc = /<meta[^>]+name=["']description["'][^>]*>/i.test(html);
-  const telMatches = html.match(/href\s*=\s*["']\s*tel:/gi);
-  out.telCount = telMatches ? telMatches.length : 0;
-  const h1Matches = html.match(/<h1\b[^>]*>/gi);
-  out.h1Count = h1Matches ? h1Matches.length : 0;
-  const extra = Math.max(0, out.telCount - 1) * 2;
-  out.ctaBonus = Math.min(10, extra);
-  return out;
-}
-
-function scoreWebsite(signals, reachable) {
-  let base = 20;
-  if (signals.titleLen >= 10) base += 10;
-  if (signals.titleLen >= 30) base += 10;
-  if (signals.hasMetaDesc) base += 10;
-  if (signals.h1Count >= 1) base += 10;
-  base += signals.ctaBonus; // up to +10
-  if (!reachable) base -= 30;
-  return Math.max(0, Math.min(100, Math.round(base)));
-}
-
-function volumePctFromReviews(reviews) {
-  if (reviews >= 100) return 100;
-  if (reviews >= 50) return 85;
-  if (reviews >= 20) return 70;
-  if (reviews >= 5) return 50;
-  return 20;
-}
-
-function scoreGBP(details, businessType) {
-  const out = { ratingPct: 0, volumePct: 0, categoryPct: 0, photosPct: 0, hoursPct: 0 };
-  if (!details) return { gbpScore: 0, ...out };
-
-  const rating = details.rating || 0;
-  const reviews = details.user_ratings_total || 0;
-  const cats = (details.types || []).map((t) => String(t).toLowerCase());
-  const photos = Array.isArray(details.photos) ? details.photos.length : (details.photos || []).length;
-  const hasHours = !!(details.opening_hours && typeof details.opening_hours.open_now === "boolean");
-
-  out.ratingPct = Math.round((rating / 5) * 100);
-  out.volumePct = volumePctFromReviews(reviews);
-  const bt = String(businessType || "").toLowerCase().trim();
-  out.categoryPct = bt ? (cats.some((c) => c.includes(bt)) ? 100 : 50) : 60;
-  out.photosPct = Math.max(0, Math.min(100, photos * 5));
-  out.hoursPct = hasHours ? 80 : 40;
-
-  const gbpScore = Math.round(
-    0.35 * out.ratingPct +
-      0.25 * out.volumePct +
-      0.15 * out.categoryPct +
-      0.15 * out.photosPct +
-      0.1 * out.hoursPct
-  );
-
-  return { gbpScore, ...out };
-}
-
 function mapEmbedUrl(placeId) {
   if (!EMBED_KEY || !placeId) return "";
   return `https://www.google.com/maps/embed/v1/place?key=${encodeURIComponent(
@@ -251,6 +251,13 @@ function mapEmbedUrl(placeId) {
   )}&q=place_id:${encodeURIComponent(placeId)}`;
 }
 
+function mapViewEmbedUrl({ lat, lng }, zoom) {
+  if (!EMBED_KEY) return "";
+  return `https://www.google.com/maps/embed/v1/view?key=${encodeURIComponent(
+    EMBED_KEY
+  )}&center=${lat},${lng}&zoom=${zoom}`;
+}
+
 function mapsPlaceLink(placeId) {
   return `https://www.google.com/maps/search/?api=1&query=Google&query_place_id=${encodeURIComponent(
     placeId
@@ -288,34 +295,77 @@ function nameSimilarity(a, b) {
   return overlap * 2 + lenScore; // simple weighted sum
 }
 
-// SAB-aware place resolution (Text Search) — collect from all queries, then pick best
-async function resolvePlace({ businessName, businessType, serviceArea }, { bypassCache }) {
+const DETAILS_FIELDS = [
+  "place_id",
+  "name",
+  "rating",
+  "user_ratings_total",
+  "types",
+  "opening_hours",
+  "photos",
+  "website",
+  "editorial_summary",
+  "formatted_address",
+  "formatted_phone_number",
+  "address_components",
+  "geometry",
+  "reviews",
+  "utc_offset",
+];
+
+// Place Details for the audit (cached under details:<placeId>); null when Google has nothing
+async function fetchDetails(placeId, { bypassCache } = {}) {
+  const k = `details:${placeId}`;
+  const cached = bypassCache ? null : cache.get(k);
+  if (cached) return cached;
+  const d = await places.placeDetails(
+    { placeId, fields: DETAILS_FIELDS, reviewsSort: "newest" },
+    { timeout: 8000 }
+  );
+  const details = d?.result || null;
+  if (details) cache.set(k, details);
+  return details;
+}
+
+const AMBIGUOUS_OPTIONS = 3;
+
+// SAB-aware place resolution (Text Search) — collect from all queries, then score every
+// candidate's match confidence (name, area, website domain; see lib/places/match.js).
+// Returns { ok: true, placeId, confidence, match, candidates } or, when the best match is weak
+// or too close to the runner-up, { ok: false, status: "AMBIGUOUS", ambiguous: true, reason,
+// candidates: top 3 }. No results at all: { ok: false, status: "NOT_FOUND", candidates: [] }.
+// With `cacheOnly` nothing is searched: a cached resolution or { ok: false, status: "NOT_CACHED" }.
+async function resolvePlace(
+  { businessName, businessType, serviceArea, websiteUrl },
+  { bypassCache, cacheOnly = false } = {}
+) {
   const name = trimStr(businessName);
   const area = trimStr(serviceArea);
   const bt = trimStr(businessType);
   if (!name && !area) return { ok: false, status: "NEEDS_INPUT" };
+  const domain = websiteUrl ? domainOf(websiteUrl) : "";
 
   const variants = expandNameVariants(name);
-  const queries = (variants.length ? variants : [name || bt])
-    .map((q) => [q, bt || "", area || ""].filter(Boolean).join(" "));
+  const term = searchTerm(bt);
+  const queries = (variants.length ? variants : [name || term])
+    .map((q) => [q, q === term ? "" : term, area || ""].filter(Boolean).join(" "));
 
-  const cacheKey = `place:${queries.join("|")}`;
-  if (!bypassCache) {
-    const cached = cacheGet(cacheKey);
+  const cacheKey = `place:${queries.join("|")}${domain ? `|site=${domain}` : ""}`;
+  if (!bypassCache || cacheOnly) {
+    const cached = cache.get(cacheKey);
     if (cached) return cached;
   }
+  if (cacheOnly) return { ok: false, status: "NOT_CACHED" };
 
-  const candidates = [];
+  const byId = new Map();
 
   for (const q of queries) {
     try {
-      const resp = await maps.textSearch({
-        params: { key: MAPS_KEY, query: q, region: "us" },
-        timeout: 8000,
-      });
-      const results = resp?.data?.results || [];
+      const resp = await places.textSearch({ query: q, region: "us" }, { timeout: 8000 });
+      const results = resp?.results || [];
       for (const r of results) {
-        candidates.push({
+        if (!r.place_id || byId.has(r.place_id)) continue;
+        byId.set(r.place_id, {
           placeId: r.place_id,
           name: r.name,
           formatted_address: r.formatted_address,
@@ -327,63 +377,102 @@ async function resolvePlace({ businessName, businessType, serviceArea }, { bypas
       /* continue */
     }
   }
+  const candidates = Array.from(byId.values());
 
   if (candidates.length === 0) {
-    const out = { ok: false, status: "AMBIGUOUS", candidates: [] };
-    cacheSet(cacheKey, out, 3 * 60 * 60 * 1000);
+    const out = { ok: false, status: "NOT_FOUND", candidates: [] };
+    cache.set(cacheKey, out);
     return out;
   }
 
-  // Best candidate: similarity -> strength -> reviews (tie-breaker)
-  const scored = candidates.map((c) => ({
-    ...c,
-    _sim: nameSimilarity(name, c.name),
-    _strength: (c.rating || 0) * 20 + Math.min(100, c.user_ratings_total || 0),
-  }));
+  const matchOpts = { businessName: name, businessType: bt, serviceArea: area, websiteUrl };
+  let scored = scoreCandidates(candidates, matchOpts);
+  // Text Search has no website field: look up the leading few so a domain match can confirm one
+  if (domain) {
+    await Promise.all(
+      scored.slice(0, AMBIGUOUS_OPTIONS).map(async (c) => {
+        const det = await fetchDetails(c.placeId, { bypassCache }).catch(() => null);
+        if (det?.website) byId.get(c.placeId).website = det.website;
+      })
+    );
+    scored = scoreCandidates(Array.from(byId.values()), matchOpts);
+  }
+  // Equal confidence: the stronger profile first (rating, then review count)
+  const strength = (c) => (c.rating || 0) * 20 + Math.min(100, c.user_ratings_total || 0);
   scored.sort(
     (a, b) =>
-      b._sim - a._sim ||
-      b._strength - a._strength ||
+      b.confidence - a.confidence ||
+      strength(b) - strength(a) ||
       (b.user_ratings_total || 0) - (a.user_ratings_total || 0)
   );
-  const winner = scored[0];
 
-  const out = {
-    ok: true,
-    placeId: winner.placeId,
-    candidates: scored.map(({ _sim, _strength, ...r }) => r),
-  };
-  cacheSet(cacheKey, out, 3 * 60 * 60 * 1000);
+  const { ambiguous, reason } = assessMatch(scored);
+  const winner = scored[0];
+  const out = ambiguous
+    ? {
+        ok: false,
+        status: "AMBIGUOUS",
+        ambiguous: true,
+        reason,
+        candidates: scored.slice(0, AMBIGUOUS_OPTIONS),
+      }
+    : {
+        ok: true,
+        placeId: winner.placeId,
+        confidence: winner.confidence,
+        match: winner.match,
+        candidates: scored,
+      };
+  cache.set(cacheKey, out);
   return out;
 }
 
-// ===== Small concurrency helper =====
-async function runWithLimit(limit, tasks) {
-  const results = new Array(tasks.length);
-  let i = 0,
-    active = 0;
-  return new Promise((resolve) => {
-    const next = () => {
-      if (i === tasks.length && active === 0) return resolve(results);
-      while (active < limit && i < tasks.length) {
-        const idx = i++;
-        active++;
-        Promise.resolve()
-          .then(tasks[idx])
-          .then((val) => {
-            results[idx] = val;
-          })
-          .catch(() => {
-            results[idx] = null;
-          })
-          .finally(() => {
-            active--;
-            next();
-          });
-      }
+// Service-area center from the geocoder (cached):
+// { lat, lng, formattedAddress, area: { city, county, state, label, ... } } or null
+async function geocodeArea(area, { bypassCache, cacheOnly = false } = {}) {
+  const address = trimStr(area);
+  if (!address) return null;
+  const cacheKey = `geo:${address.toLowerCase()}`;
+  if (!bypassCache || cacheOnly) {
+    const cached = cache.get(cacheKey);
+    if (cached) return cached;
+  }
+  if (cacheOnly) return null;
+  try {
+    const resp = await places.geocode({ address, region: "us" }, { timeout: 8000 });
+    const top = resp?.results?.[0];
+    const center = latLngOf(top);
+    if (!center) return null;
+    const out = {
+      ...center,
+      formattedAddress: top.formatted_address || address,
+      area: areaFromGeocode(top),
     };
-    next();
-  });
+    cache.set(cacheKey, out);
+    return out;
+  } catch (e) {
+    if (!IS_PRODUCTION) console.warn(`Geocode failed for "${address}":`, e.message);
+    return null;
+  }
+}
+
+// Coordinates -> canonical area (cached per ~100 m cell): { area, city, county, state, ... }
+async function reverseGeocodeArea(lat, lng, { bypassCache } = {}) {
+  const cacheKey = `geo:rev:${lat.toFixed(3)},${lng.toFixed(3)}`;
+  if (!bypassCache) {
+    const cached = cache.get(cacheKey);
+    if (cached) return cached;
+  }
+  const resp = await places.reverseGeocode({ lat, lng }, { timeout: 8000 });
+  const results = resp?.results || [];
+  // Street-level results come first; any of them carries the locality.
+  const areas = results.map((r) => ({ r, a: areaFromGeocode(r) }));
+  const best = areas.find((x) => x.a.city) || areas.find((x) => x.a.label);
+  if (!best) return null;
+  const { label, ...parts } = best.a;
+  const out = { area: label, ...parts, formattedAddress: best.r.formatted_address || "" };
+  cache.set(cacheKey, out);
+  return out;
 }
 
 // ===== Routes =====
@@ -394,294 +483,1145 @@ app.get("/api/health", (_req, res) => {
     env: NODE_ENV,
     hasServerKey: !!process.env.GOOGLE_MAPS_API_KEY_SERVER,
     hasEmbedKey: !!process.env.GOOGLE_MAPS_EMBED_KEY,
+    placesProvider: places.name,
   });
 });
 
-app.post("/api/analyze", analyzeLimiter, async (req, res) => {
-  try {
-    const {
-      businessName,
-      businessType,
-      serviceArea,
-      websiteUrl: rawUrl,
-      placeId: overridePlaceId,
-      fast,
-      siteOnly,
-    } = req.body || {};
-
-    const bypassCache = noCache(req);
-    const forceSiteOnly = siteOnly === true || siteOnly === 1;
-
-    // Normalize/probe site
-    const siteUrl = normalizeUrl(rawUrl);
-    const siteProbe = siteUrl ? await probeSite(siteUrl) : { ok: false };
-
-    // Resolve place unless forced site-only
-    let placeId = null;
-    let candidates = [];
-    if (!forceSiteOnly) {
-      if (overridePlaceId) {
-        placeId = trimStr(overridePlaceId) || null;
-      } else {
-        const resolved = await resolvePlace(
-          { businessName, businessType, serviceArea },
-          { bypassCache }
-        );
-        if (resolved.ok) {
-          placeId = resolved.placeId;
-          candidates = resolved.candidates || [];
-        } else if (resolved.candidates?.length) {
-          return res.status(200).json({
+app.get("/api/trades", (_req, res) => {
+  res.json({ ok: true, trades: listTrades() });
+});
+
+// ===== Admin (Bearer ADMIN_TOKEN; disabled when unset) =====
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) return res.status(404).json({ ok: false, error: "Not found" });
+  const given = String(req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+  const a = crypto.createHash("sha256").update(given).digest();
+  const b = crypto.createHash("sha256").update(expected).digest();
+  if (!given || !crypto.timingSafeEqual(a, b)) {
+    return res.status(401).json({ ok: false, error: "Unauthorized" });
+  }
+  next();
+}
+
+// Live (?nocache) fetches spend quota, so they need the admin token; other requests pass.
+function adminForNoCache(req, res, next) {
+  if (noCache(req)) return requireAdmin(req, res, next);
+  next();
+}
+
+// Stats plus a key listing; ?prefix=details: and/or ?placeId=... narrow the listing.
+app.get("/api/admin/cache", requireAdmin, (req, res) => {
+  const filter = { prefix: trimStr(req.query.prefix), placeId: trimStr(req.query.placeId) };
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+  res.json({ ok: true, stats: cache.stats(), entries: cache.list(filter, limit) });
+});
+
+// Purge by key prefix and/or placeId (matched in the key or the cached value).
+app.delete("/api/admin/cache", requireAdmin, (req, res) => {
+  const filter = {
+    prefix: trimStr(req.query.prefix ?? req.body?.prefix),
+    placeId: trimStr(req.query.placeId ?? req.body?.placeId),
+  };
+  if (!filter.prefix && !filter.placeId) {
+    return res.status(400).json({ ok: false, error: "Provide prefix and/or placeId" });
+  }
+  res.json({ ok: true, purged: cache.purge(filter), stats: cache.stats() });
+});
+
+/**
+ * The full single-business audit behind POST /api/analyze (also run row-by-row by batch jobs).
+ * Returns { httpStatus, body }; successful audits are stored and carry `auditId`.
+ */
+async function analyzeBusiness(input = {}, { bypassCache = false } = {}) {
+  const {
+    businessName,
+    businessType,
+    serviceArea: rawArea,
+    websiteUrl: rawUrl,
+    placeId: overridePlaceId,
+    fast,
+    siteOnly,
+    scoringVersion,
+    crawl: crawlOpts,
+  } = input;
+
+  const profile = getProfile(scoringVersion);
+  if (!profile) {
+    return {
+      httpStatus: 400,
+      body: {
+        success: false,
+        error: `Unknown scoringVersion "${scoringVersion}"`,
+        available: listVersions(),
+      },
+    };
+  }
+
+  const forceSiteOnly = siteOnly === true || siteOnly === 1;
+
+  // Normalize/probe site
+  const siteUrl = normalizeUrl(rawUrl);
+  const probeTimeout = profile.site.probeTimeoutMs;
+  const siteProbe = siteUrl ? await probeSite(siteUrl, probeTimeout) : { ok: false };
+
+  // Canonical "City, ST" / "Some County, ST" (the input when it can't be geocoded) before place
+  // resolution, so "denver co" and "Denver, Colorado" search and cache the same way; later steps
+  // (relevance, coverage, audit inputs) use it and the geocode too.
+  const areaGeo = trimStr(rawArea) ? await geocodeArea(rawArea, { bypassCache }) : null;
+  const serviceArea = areaGeo?.area?.label || trimStr(rawArea);
+
+  // Resolve place unless forced site-only
+  let placeId = null;
+  let candidates = [];
+  let match = null;
+  if (!forceSiteOnly) {
+    if (overridePlaceId) {
+      placeId = trimStr(overridePlaceId) || null;
+    } else {
+      const resolved = await resolvePlace(
+        { businessName, businessType, serviceArea, websiteUrl: siteUrl },
+        { bypassCache }
+      );
+      if (resolved.ok) {
+        placeId = resolved.placeId;
+        candidates = resolved.candidates || [];
+        match = { confidence: resolved.confidence, ...resolved.match };
+      } else if (resolved.candidates?.length) {
+        return {
+          httpStatus: 200,
+          body: {
             success: false,
             status: "NEEDS_INPUT",
-            message: "Pick a candidate or provide a service area.",
+            ambiguous: true,
+            reason: resolved.reason,
+            message:
+              resolved.reason === "close_match"
+                ? "Several businesses match equally well — pick yours."
+                : "No confident match — pick your business or refine the name/service area.",
             candidates: resolved.candidates,
-          });
-        }
-      }
-    }
-
-    // Details (cached)
-    let details = null;
-    if (placeId) {
-      const k = `details:${placeId}`;
-      details = bypassCache ? null : cacheGet(k);
-      if (!details) {
-        const d = await maps.placeDetails({
-          params: {
-            key: MAPS_KEY,
-            place_id: placeId,
-            fields: [
-              "place_id",
-              "name",
-              "rating",
-              "user_ratings_total",
-              "types",
-              "opening_hours",
-              "photos",
-              "website",
-            ],
           },
-          timeout: 8000,
-        });
-        details = d?.data?.result || null;
-        if (details) cacheSet(k, details, 12 * 60 * 60 * 1000);
+        };
       }
     }
+  }
+
+  // Details (cached)
+  const details = placeId ? await fetchDetails(placeId, { bypassCache }) : null;
+
+  // Storefront vs. service-area profile, and whether its location covers the service area
+  const coverage = details ? assessCoverage(details, areaGeo) : null;
+  // Review recency, velocity, replies and themes (diagnostic subscore)
+  const reviews = analyzeReviews(details);
+  // Weekly schedule: days covered, weekends, 24/7 / emergency, open now in local time
+  const hours = details ? analyzeHours(details, { businessType }) : null;
+
+  // Nothing to score: a place lookup was made but there is no website and no GBP signal at all
+  // (no profile, or an empty one). No lookup at all stays NEEDS_INPUT below.
+  const gbpInputs = gbpFacts(details, businessType, profile, coverage);
+  const hasGbpSignals =
+    !!gbpInputs &&
+    (gbpInputs.rating > 0 || gbpInputs.reviews > 0 || gbpInputs.photos > 0 || gbpInputs.hasHours);
+  const lookedUp = !forceSiteOnly && !!(placeId || trimStr(businessName) || serviceArea);
+  if (lookedUp && !siteUrl && !hasGbpSignals) {
+    return {
+      httpStatus: 422,
+      body: {
+        success: false,
+        error: "insufficient_data",
+        message: details
+          ? "This Google profile has no rating, reviews, photos or hours, and no website was given."
+          : placeId && trimStr(overridePlaceId)
+          ? `placeId "${placeId}" could not be resolved to a Google profile, and no website ` +
+            "was given — check the placeId or add a website."
+          : "No Google profile found and no website was given — add a website or a placeId.",
+        placeId,
+      },
+    };
+  }
 
-    // Site score (fetch HTML only if reachable and not fast)
-    let siteScore = 0,
-      siteSignals = null;
-    if (siteUrl && (siteProbe.ok || !fast)) {
-      const htmlRes = siteProbe.ok && !fast ? await fetchHtml(siteUrl) : { ok: false };
-      siteSignals = htmlRes.ok ? extractSiteSignals(htmlRes.text) : extractSiteSignals("");
-      siteScore = scoreWebsite(siteSignals, !!siteProbe.ok);
+  // Site score (crawl/fetch HTML only if reachable and not fast)
+  let siteScore = 0,
+    siteSignals = null,
+    siteComponents = null,
+    crawl = null,
+    schema = null,
+    health = null,
+    relevance = null,
+    siteFacts = null,
+    sitePages = [];
+  if (siteUrl && (siteProbe.ok || !fast)) {
+    const deep = siteProbe.ok && !fast;
+    if (deep && crawlOpts !== false && crawlOpts !== 0) {
+      // Only the documented knobs come from the client; timeouts and concurrency stay server-side.
+      const { maxPages, maxDepth } = typeof crawlOpts === "object" && crawlOpts ? crawlOpts : {};
+      crawl = await crawlSite(siteUrl, { maxPages, maxDepth });
+    }
+    const htmlRes = crawl?.ok
+      ? { ok: true, text: crawl.pages[0].html }
+      : deep
+      ? await fetchHtml(siteUrl)
+      : { ok: false };
+    siteSignals = htmlRes.ok ? extractSiteSignals(htmlRes.text) : extractSiteSignals("");
+    if (htmlRes.ok) sitePages = crawl?.ok ? crawl.pages : [{ url: siteUrl, html: htmlRes.text }];
+    schema = htmlRes.ok ? auditStructuredData(sitePages) : null;
+    if (htmlRes.ok) {
+      const home = crawl?.ok
+        ? { url: crawl.pages[0].url, html: crawl.pages[0].html, ...crawl.pages[0].response }
+        : { ...htmlRes, html: htmlRes.text };
+      health = auditSiteHealth(home, await checkHttpsRedirect(siteUrl));
+      relevance = analyzeRelevance(sitePages, { businessType, serviceArea });
     }
+    const contactOk =
+      siteProbe.ok && profile.site.weights?.contact
+        ? (await probeSite(new URL("/contact", siteUrl).href, probeTimeout)).ok
+        : false;
+    siteFacts = {
+      reachable: !!siteProbe.ok,
+      // From where the probe landed, not the typed URL (normalizeUrl adds https://), the same
+      // basis competitor sites are scored on.
+      https: servedOverHttps(siteProbe),
+      contactOk,
+      contentLength:
+        siteProbe.contentLength || (htmlRes.ok ? Buffer.byteLength(htmlRes.text) : 0),
+      signals: siteSignals,
+    };
+    ({ siteScore, ...siteComponents } = scoreWebsite(siteFacts, profile));
+  }
 
-    // GBP score
-    const { gbpScore, ratingPct, volumePct, categoryPct, photosPct, hoursPct } = scoreGBP(
-      details,
-      businessType
-    );
+  // GBP score
+  const { gbpScore, ratingPct, volumePct, categoryPct, photosPct, hoursPct, coverageFactor } =
+    scoreGBPFacts(gbpInputs, profile);
+
+  // NAP consistency (GBP vs. website) — needs both sides
+  // (a service-area profile's city-only address is not a real address to match)
+  const napDetails = coverage?.sab ? { ...details, formatted_address: null } : details;
+  const nap = details && sitePages.length ? checkNapConsistency(napDetails, sitePages) : null;
+
+  // Path / status / final
+  const pathState = {
+    forceSiteOnly,
+    hasPlace: !!placeId,
+    hasSite: !!siteUrl,
+    siteReachable: !!siteProbe.ok,
+  };
+  const { status, path, finalScore, ceiling } = decidePath(
+    pathState,
+    gbpScore,
+    siteScore,
+    profile
+  );
+  // No place and no website: nothing was scored, so there is no audit to store.
+  if (status === "NEEDS_INPUT") {
+    return {
+      httpStatus: 200,
+      body: {
+        success: false,
+        status,
+        scoringVersion: profile.version,
+        message: "Enter a business name and service area, a website or a placeId.",
+      },
+    };
+  }
 
-    // Path / status / final
-    let status = "OK";
-    let path = "BLENDED_60_40";
-    let finalScore = 0;
-    let ceiling = false;
-
-    if (forceSiteOnly) {
-      status = "SITE_ONLY_FORCED";
-      path = "SITE_ONLY";
-      finalScore = siteScore;
-      ceiling = true;
-    } else if (!placeId && siteUrl) {
-      status = "SITE_ONLY";
-      path = "SITE_ONLY";
-      finalScore = siteScore;
-      ceiling = true;
-    } else if (placeId && (!siteUrl || !siteProbe.ok)) {
-      status = "GBP_ONLY";
-      path = "GBP_ONLY";
-      finalScore = gbpScore;
-      ceiling = !siteUrl || !siteProbe.ok;
-    } else if (placeId && siteUrl) {
-      status = "BLENDED_60_40";
-      path = "BLENDED_60_40";
-      finalScore = Math.round(0.6 * gbpScore + 0.4 * siteScore);
-      ceiling = gbpScore < 60 || !siteProbe.ok;
-    } else {
-      status = "NEEDS_INPUT";
-      path = "NEEDS_INPUT";
-      finalScore = 0;
-    }
+  const recommendations = buildRecommendations({
+    profile,
+    path,
+    businessType,
+    coverage,
+    reviews,
+    hours,
+    serviceArea,
+    details,
+    siteUrl,
+    siteFacts,
+    health,
+    schema,
+    relevance,
+    nap,
+  });
+
+  const blendPct = (w) => Math.round(w * 100);
+  const result = {
+    success: true,
+    status,
+    path,
+    scoringVersion: profile.version,
+    finalScore,
+    ceiling,
+    rationale:
+      status === "SITE_ONLY" || status === "SITE_ONLY_FORCED"
+        ? "Provisional website-only score. Add/claim your Google Business Profile to raise the ceiling."
+        : status === "GBP_ONLY"
+        ? "GBP signals only (website missing or unreachable). Add/repair your website to raise the ceiling."
+        : `Adaptive blend of GBP (${blendPct(profile.blend.gbp)}%) and site (${blendPct(
+            profile.blend.site
+          )}%).`,
+    placeId: placeId || null,
+    serviceArea: serviceArea || null,
+    mapEmbedUrl: placeId ? mapEmbedUrl(placeId) : "",
+    match,
+    candidates,
+    coverage,
+    gbp: {
+      gbpScore,
+      ratingPct,
+      volumePct,
+      categoryPct,
+      photosPct,
+      hoursPct,
+      coverageFactor: coverageFactor ?? null,
+      rating: details?.rating || 0,
+      user_ratings_total: details?.user_ratings_total || 0,
+    },
+    reviews,
+    hours,
+    site: {
+      siteUrl,
+      reachable: !!siteProbe.ok,
+      unreachableReason: siteUrl && !siteProbe.ok ? siteProbe.reason || "unreachable" : null,
+      siteScore,
+      components: siteComponents,
+      signals: siteSignals,
+      schema,
+      health,
+      relevance,
+      crawl: publicCrawl(crawl),
+    },
+    nap,
+    recommendations,
+    // Everything the score was computed from — lets /api/simulate re-score without Google.
+    scoringInputs: { ...pathState, gbp: gbpInputs, site: siteFacts },
+  };
+
+  const inputs = {
+    businessName: trimStr(businessName) || null,
+    businessType: trimStr(businessType) || null,
+    serviceArea: serviceArea || null,
+    serviceAreaInput: trimStr(rawArea) || null,
+    websiteUrl: siteUrl || null,
+    placeId: trimStr(overridePlaceId) || null,
+    siteOnly: forceSiteOnly,
+    fast: !!fast,
+  };
+  const audit = await audits.save(toAuditRecord(inputs, result));
+  return { httpStatus: 200, body: { auditId: audit.id, ...result } };
+}
 
-    res.json({
+/**
+ * Quick estimate (POST /api/analyze?quick=1): never calls Google or the website. Scores the
+ * caller's `facts` ({ rating, reviews, photos, hours, categoryMatch, hasWebsite, https,
+ * contactOk }) over cached place details and the place's last stored audit.
+ * Returns { httpStatus, body }; estimates are not stored as audits.
+ */
+async function quickAnalyze(input = {}) {
+  const { businessName, businessType, websiteUrl: rawUrl, scoringVersion } = input;
+  const facts = input.facts && typeof input.facts === "object" ? { ...input.facts } : {};
+
+  const profile = getProfile(scoringVersion);
+  if (!profile) {
+    return {
+      httpStatus: 400,
+      body: {
+        success: false,
+        error: `Unknown scoringVersion "${scoringVersion}"`,
+        available: listVersions(),
+      },
+    };
+  }
+
+  // Cache-only lookups: canonical area, place id, details, last audit
+  const areaGeo = await geocodeArea(input.serviceArea, { cacheOnly: true });
+  const serviceArea = areaGeo?.area?.label || trimStr(input.serviceArea);
+  let placeId = trimStr(input.placeId) || null;
+  if (!placeId && trimStr(businessName)) {
+    const resolved = await resolvePlace(
+      { businessName, businessType, serviceArea, websiteUrl: normalizeUrl(rawUrl) },
+      { cacheOnly: true }
+    );
+    if (resolved.ok) placeId = resolved.placeId;
+  }
+  const details = placeId ? cache.get(`details:${placeId}`) : null;
+  const history = placeId && PLACE_ID_RE.test(placeId) ? await audits.listByPlace(placeId) : [];
+  const last = history[history.length - 1] || null;
+  const lastInputs = last?.scoringInputs || null;
+  // Coverage as the full analysis scores it: against the cached area geocode, else the last
+  // audit's assessment when it was for the same area.
+  let coverage = null;
+  if (details && areaGeo) coverage = assessCoverage(details, areaGeo);
+  else if (details && last?.inputs?.serviceArea === serviceArea) coverage = last.coverage;
+
+  const siteUrl = normalizeUrl(rawUrl);
+  if (siteUrl && facts.hasWebsite === undefined) facts.hasWebsite = true;
+  if (/^https:\/\//i.test(trimStr(rawUrl)) && facts.https === undefined) facts.https = true;
+
+  const estimate = quickEstimate(
+    {
+      gbp: details ? gbpFacts(details, businessType, profile, coverage) : lastInputs?.gbp || null,
+      gbpSource: details ? "cache" : "audit",
+      site: lastInputs ? (lastInputs.hasSite && lastInputs.site) || false : null,
+      siteSource: "audit",
+    },
+    facts,
+    profile
+  );
+  if (!estimate) {
+    return {
+      httpStatus: 400,
+      body: {
+        success: false,
+        status: "NEEDS_INPUT",
+        error:
+          "Quick mode needs facts (rating, reviews, photos, hours, hasWebsite) " +
+          "or a business that was analyzed before.",
+      },
+    };
+  }
+
+  const { result, scoringInputs, confidence, assumptions, ignored } = estimate;
+  return {
+    httpStatus: 200,
+    body: {
       success: true,
-      status,
-      path,
-      finalScore,
-      ceiling,
+      quick: true,
+      estimate: true,
+      status: result.status,
+      path: result.path,
+      scoringVersion: profile.version,
+      finalScore: result.finalScore,
+      ceiling: result.ceiling,
       rationale:
-        status === "SITE_ONLY" || status === "SITE_ONLY_FORCED"
-          ? "Provisional website-only score. Add/claim your Google Business Profile to raise the ceiling."
-          : status === "GBP_ONLY"
-          ? "GBP signals only (website missing or unreachable). Add/repair your website to raise the ceiling."
-          : "Adaptive blend of GBP (60%) and site (40%).",
-      placeId: placeId || null,
-      mapEmbedUrl: placeId ? mapEmbedUrl(placeId) : "",
-      candidates,
+        `Quick estimate (${confidence.level} confidence) — no Google or website calls were ` +
+        "made. Run a full analysis to confirm.",
+      confidence,
+      assumptions,
+      ignored,
+      placeId,
+      serviceArea: serviceArea || null,
+      basedOn: {
+        cachedDetails: !!details,
+        auditId: last?.id || null,
+        auditedAt: last?.createdAt || null,
+      },
       gbp: {
-        gbpScore,
-        ratingPct,
-        volumePct,
-        categoryPct,
-        photosPct,
-        hoursPct,
-        rating: details?.rating || 0,
-        user_ratings_total: details?.user_ratings_total || 0,
+        ...result.gbp,
+        rating: scoringInputs.gbp?.rating || 0,
+        user_ratings_total: scoringInputs.gbp?.reviews || 0,
       },
-      site: { siteUrl, reachable: !!siteProbe.ok, siteScore, signals: siteSignals },
-    });
+      site: { siteUrl, reachable: scoringInputs.siteReachable, ...result.site },
+      scoringInputs,
+    },
+  };
+}
+
+app.post("/api/analyze", analyzeLimiter, async (req, res) => {
+  try {
+    const input = {
+      ...req.body,
+      scoringVersion: req.body?.scoringVersion || req.query.scoringVersion,
+    };
+    const { httpStatus, body } = isQuick(req)
+      ? await quickAnalyze(input)
+      : await analyzeBusiness(input, { bypassCache: noCache(req) });
+    res.status(httpStatus).json(body);
   } catch (err) {
     if (!IS_PRODUCTION) console.error("Analyze error:", err);
     res.status(500).json({ success: false, error: "Internal error" });
   }
 });
 
+// ===== Batch jobs (queued; rows share the analyze pipeline) =====
+const JOB_MAX_ROWS = Number(process.env.JOB_MAX_ROWS) || 500;
+const jobs = createJobQueue({
+  concurrency: Number(process.env.JOB_CONCURRENCY) || 2,
+  perMinute: Number(process.env.JOB_RATE_PER_MIN) || 15,
+  run: async (input, options) => {
+    const { httpStatus, body } = await analyzeBusiness({ ...input, ...options });
+    if (httpStatus !== 200) throw new Error(body.message || body.error || `HTTP ${httpStatus}`);
+    if (!body.success) {
+      const names = (body.candidates || []).slice(0, 3).map((c) => c.name);
+      return {
+        result: { status: body.status },
+        error: names.length ? `Ambiguous: ${names.join(" / ")}` : body.message || "",
+      };
+    }
+    return {
+      auditId: body.auditId,
+      result: {
+        status: body.status,
+        finalScore: body.finalScore,
+        gbpScore: body.gbp.gbpScore,
+        siteScore: body.site.siteScore,
+        rating: body.gbp.rating,
+        reviewCount: body.gbp.user_ratings_total,
+        placeId: body.placeId,
+      },
+    };
+  },
+});
+
 /**
- * GET /api/competitive-snapshot
- * Params:
- *   ?businessName=...&serviceArea=...&businessType=... (preferred)
- *   or ?businessType=...&serviceArea=... (also accepts ?trade / ?area)
- * Optional: ?nocache=1
+ * POST /api/jobs/analyze
+ * Body: text/csv (header row: name, trade, area, website[, placeId]) or JSON
+ *   { rows: [{ name, trade, area, website }], options: { fast, scoringVersion, crawl } }
+ *   ({ csv: "..." } also accepted). CSV uploads take options from the query string.
+ * Returns 202 with the job id; poll GET /api/jobs/:id. Admin-only, like the job reads: jobs spend
+ * Places quota and their results are other people's audits.
  */
-app.get("/api/competitive-snapshot", competitorLimiter, async (req, res) => {
-  try {
-    const businessName = trimStr(req.query.businessName);
-    const serviceArea = trimStr(req.query.serviceArea || req.query.area);
-    const businessType = trimStr(req.query.businessType || req.query.trade);
+app.post(
+  "/api/jobs/analyze",
+  requireAdmin,
+  jobsLimiter,
+  express.text({ type: ["text/csv", "text/plain"], limit: "1mb" }),
+  (req, res) => {
+    const isText = typeof req.body === "string";
+    const body = isText ? {} : req.body || {};
+    const source = isText ? req.body : body.csv ?? body.rows ?? (Array.isArray(body) ? body : null);
+    const { rows, skipped } = parseJobRows(source);
+    if (!rows.length) {
+      return res.status(400).json({ ok: false, error: "No usable rows", skipped });
+    }
+    if (rows.length > JOB_MAX_ROWS) {
+      return res.status(413).json({ ok: false, error: `At most ${JOB_MAX_ROWS} rows per job` });
+    }
 
-    const trade = businessType;
-    const area = serviceArea;
-    const bypassCache = !!req.query?.nocache;
+    const opts = { ...req.query, ...(body.options || {}) };
+    const scoringVersion = opts.scoringVersion || undefined;
+    if (scoringVersion && !getProfile(scoringVersion)) {
+      return res.status(400).json({
+        ok: false,
+        error: `Unknown scoringVersion "${scoringVersion}"`,
+        available: listVersions(),
+      });
+    }
+    const options = {
+      fast: opts.fast === true || opts.fast === "1" || opts.fast === "true",
+      scoringVersion,
+      crawl: typeof opts.crawl === "object" || opts.crawl === false ? opts.crawl : undefined,
+    };
 
-    if (!trade || !area) {
-      return res.status(400).json({ ok: false, error: "Missing ?businessType and/or ?serviceArea" });
+    try {
+      const job = jobs.submit(rows, options);
+      res.status(202).json({
+        ok: true,
+        jobId: job.id,
+        job: jobs.summary(job),
+        skipped,
+        statusUrl: `/api/jobs/${job.id}`,
+        resultsUrl: `/api/jobs/${job.id}/results?format=csv`,
+      });
+    } catch (e) {
+      res.status(e.httpStatus || 500).json({ ok: false, error: e.message });
     }
+  }
+);
 
-    const MAX_COMPETITORS = 6;
-    const COMP_TTL = 60 * 60 * 1000; // 1h
+app.get("/api/jobs/:id", requireAdmin, (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: "Job not found" });
+  res.json({ ok: true, job: jobs.summary(job), rows: resultRows(job) });
+});
 
-    const cacheKey = `comp:${businessName}:${trade}:${area}`;
-    if (!bypassCache) {
-      const cached = cacheGet(cacheKey);
-      if (cached) return res.json(cached);
-    }
+// ?format=csv (default) | json — downloadable at any point; unfinished rows show their state.
+app.get("/api/jobs/:id/results", requireAdmin, (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: "Job not found" });
+  const format = req.query.format === "json" ? "json" : "csv";
+  res.set("Content-Disposition", `attachment; filename="audit-job-${job.id}.${format}"`);
+  if (format === "json") return res.json({ job: jobs.summary(job), rows: resultRows(job) });
+  res.type("text/csv").send(resultsToCsv(job));
+});
 
-    // 1) Search for competitors
-    const searchQuery = `${trade} in ${area}`;
-    const ts = await maps.textSearch({
-      params: { key: MAPS_KEY, query: searchQuery, region: "us" },
-      timeout: 10000,
-    });
-    let results = ts?.data?.results || [];
+const AUDIT_ID_RE = /^[\w-]{1,64}$/;
+const PLACE_ID_RE = /^[\w-]{1,256}$/;
 
-    // optional self-exclusion (use similarity to catch variants)
-    if (businessName) {
-      results = results.filter((r) => nameSimilarity(businessName, r.name || "") < 3);
+app.get("/api/audits/:id", requireAdmin, async (req, res) => {
+  if (!AUDIT_ID_RE.test(req.params.id)) {
+    return res.status(400).json({ ok: false, error: "Invalid audit id" });
+  }
+  const audit = await audits.get(req.params.id);
+  if (!audit) return res.status(404).json({ ok: false, error: "Audit not found" });
+  res.json({ ok: true, audit });
+});
+
+/**
+ * GET /api/audits/:id/report?format=html|pdf
+ * Branded, printable report for a stored audit. Competitors come from the cached snapshot for
+ * the audit's trade + area, so viewing a report spends no Places quota; ?nocache=1 (admin)
+ * fetches a live one, ?competitors=0 skips them.
+ */
+app.get("/api/audits/:id/report", reportLimiter, adminForNoCache, async (req, res) => {
+  try {
+    if (!AUDIT_ID_RE.test(req.params.id)) {
+      return res.status(400).json({ ok: false, error: "Invalid audit id" });
     }
+    const audit = await audits.get(req.params.id);
+    if (!audit) return res.status(404).json({ ok: false, error: "Audit not found" });
 
-    const ranked = results
-      .map((r) => ({
-        place_id: r.place_id,
-        name: r.name,
-        rating: r.rating || 0,
-        user_ratings_total: r.user_ratings_total || 0,
-        formatted_address: r.formatted_address,
-      }))
-      .sort((a, b) => b.rating - a.rating || b.user_ratings_total - a.user_ratings_total)
-      .slice(0, MAX_COMPETITORS);
-
-    // 2) Enrich details with concurrency limit
-    const tasks = ranked.map((r) => async () => {
+    let competitors = null;
+    const { businessName, businessType, serviceArea } = audit.inputs || {};
+    if (req.query.competitors !== "0" && businessType && serviceArea) {
       try {
-        const det = await maps.placeDetails({
-          params: {
-            key: MAPS_KEY,
-            place_id: r.place_id,
-            fields: [
-              "place_id",
-              "name",
-              "rating",
-              "user_ratings_total",
-              "formatted_address",
-              "opening_hours",
-              "website",
-              "types",
-              "photos",
-            ],
-          },
-          timeout: 8000,
-        });
-        const d = det?.data?.result || {};
-        const photosCount = Array.isArray(d.photos) ? d.photos.length : 0;
+        const snap = await competitiveSnapshot(
+          { businessName, businessType, serviceArea, scoringVersion: audit.scoringVersion },
+          { cacheOnly: !noCache(req), bypassCache: noCache(req) }
+        );
+        if (snap.httpStatus === 200) competitors = snap.body;
+      } catch (e) {
+        if (!IS_PRODUCTION) console.error("Report competitors error:", e);
+      }
+    }
 
-        return {
-          placeId: d.place_id,
-          name: d.name,
-          rating: d.rating || 0,
-          reviews: d.user_ratings_total || 0,
-          address: d.formatted_address || "",
-          openNow:
-            d.opening_hours && typeof d.opening_hours.open_now === "boolean"
-              ? d.opening_hours.open_now
-              : null,
-          website: d.website || "",
-          types: Array.isArray(d.types) ? d.types : [],
-          photosCount,
-          mapsLink: mapsPlaceLink(d.place_id),
-        };
-      } catch {
-        return null;
+    const model = buildReportModel(audit, { competitors, brand: reportBrand() });
+    const slug = String(model.business.name).toLowerCase().replace(/[^a-z0-9]+/g, "-");
+    const filename = `${slug.replace(/^-|-$/g, "") || "audit"}-visibility-report`;
+    if (req.query.format === "pdf") {
+      const pdf = await renderReportPdf(model);
+      res.set("Content-Disposition", `attachment; filename="${filename}.pdf"`);
+      return res.type("application/pdf").send(pdf);
+    }
+    if (req.query.download === "1") {
+      res.set("Content-Disposition", `attachment; filename="${filename}.html"`);
+    }
+    res.type("html").send(renderReportHtml(model));
+  } catch (e) {
+    if (!IS_PRODUCTION) console.error("Report error:", e);
+    res.status(500).json({ ok: false, error: "Report failed" });
+  }
+});
+
+/**
+ * POST /api/simulate
+ * Body: { auditId } or { scoringInputs } (from an /api/analyze response), plus
+ *   overrides: { rating, reviews, photos, hours, categoryMatch, siteReachable, https,
+ *                contactOk, contentLength, signals: { titleLen, hasMetaDesc, h1Count, telCount } }
+ *   and optional scoringVersion (defaults to the audit's). Never calls Google or the website.
+ */
+app.post("/api/simulate", async (req, res) => {
+  try {
+    const { auditId, overrides, scoringVersion } = req.body || {};
+    let inputs = req.body?.scoringInputs;
+    let version = scoringVersion;
+    if (auditId) {
+      if (!AUDIT_ID_RE.test(String(auditId))) {
+        return res.status(400).json({ ok: false, error: "Invalid audit id" });
+      }
+      const audit = await audits.get(String(auditId));
+      if (!audit) return res.status(404).json({ ok: false, error: "Audit not found" });
+      if (!audit.scoringInputs) {
+        return res.status(422).json({ ok: false, error: "Audit has no stored scoring inputs" });
       }
+      inputs = audit.scoringInputs;
+      version = version || audit.scoringVersion;
+    }
+    if (!inputs || typeof inputs !== "object") {
+      return res.status(400).json({ ok: false, error: "Provide auditId or scoringInputs" });
+    }
+    const profile = getProfile(version);
+    if (!profile) {
+      return res.status(400).json({
+        ok: false,
+        error: `Unknown scoringVersion "${version}"`,
+        available: listVersions(),
+      });
+    }
+    const sim = simulateScore(inputs, overrides, profile);
+    res.json({ ok: true, scoringVersion: profile.version, ...sim });
+  } catch (e) {
+    if (!IS_PRODUCTION) console.error("Simulate error:", e);
+    res.status(500).json({ ok: false, error: "Simulation failed" });
+  }
+});
+
+// Score timeline for a place (admin: points carry audit ids and inputs); ?granularity=month keeps
+// the last audit of each month.
+app.get("/api/places/:placeId/history", requireAdmin, async (req, res) => {
+  const placeId = trimStr(req.params.placeId);
+  if (!PLACE_ID_RE.test(placeId)) {
+    return res.status(400).json({ ok: false, error: "Invalid placeId" });
+  }
+  const granularity = req.query.granularity === "month" ? "month" : "audit";
+  const since = Date.parse(req.query.since || "");
+  let list = await audits.listByPlace(placeId);
+  if (Number.isFinite(since)) list = list.filter((a) => Date.parse(a.createdAt) >= since);
+  res.json({ ok: true, placeId, ...buildHistory(list, { granularity }) });
+});
+
+const MAX_SNAPSHOT_RESULTS = 20;
+const MAX_SEARCH_PAGES = 3; // Google stops at 3 pages (60 results) per query
+const BUSINESS_STATUSES = new Set([
+  "OPERATIONAL",
+  "CLOSED_TEMPORARILY",
+  "CLOSED_PERMANENTLY",
+  "ANY",
+]);
+
+// "Open now" is a moment, not a cached fact: recompute it from each item's weekly schedule
+function withOpenNow(payload) {
+  const now = Date.now();
+  const items = payload.items.map((it) => ({ ...it, openNow: isOpenAt(it.hours, now) }));
+  return { ...payload, items };
+}
+
+/**
+ * Competitor snapshot for a trade + area (backs GET /api/competitive-snapshot and reports).
+ * Returns { httpStatus, body }; with cacheOnly a miss is a 404 instead of a Places search.
+ */
+async function competitiveSnapshot(input = {}, { bypassCache = false, cacheOnly = false } = {}) {
+  const businessName = trimStr(input.businessName);
+  const trade = trimStr(input.businessType);
+  const area = trimStr(input.serviceArea);
+
+  if (!trade || !area) {
+    return {
+      httpStatus: 400,
+      body: { ok: false, error: "Missing ?businessType and/or ?serviceArea" },
+    };
+  }
+  const profile = getProfile(input.scoringVersion);
+  if (!profile) {
+    return {
+      httpStatus: 400,
+      body: {
+        ok: false,
+        error: `Unknown scoringVersion "${input.scoringVersion}"`,
+        available: listVersions(),
+      },
+    };
+  }
+
+  // Field size and filters; rivals failing a filter never reach the details step
+  const limit = input.limit === undefined || input.limit === "" ? 6 : Number(input.limit);
+  const radiusKm = input.radiusKm ? Number(input.radiusKm) : null;
+  const minReviews = input.minReviews ? Number(input.minReviews) : 0;
+  const status = trimStr(input.status || "OPERATIONAL").toUpperCase();
+  const category = trimStr(input.category).toLowerCase();
+  let filterError = null;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SNAPSHOT_RESULTS) {
+    filterError = `limit must be an integer 1–${MAX_SNAPSHOT_RESULTS}`;
+  } else if (radiusKm !== null && !(radiusKm > 0 && radiusKm <= 50)) {
+    filterError = "radiusKm must be greater than 0 and at most 50";
+  } else if (!(minReviews >= 0)) {
+    filterError = "minReviews must be a number >= 0";
+  } else if (!BUSINESS_STATUSES.has(status)) {
+    filterError = `status must be one of ${[...BUSINESS_STATUSES].join(", ")}`;
+  } else if (category && !/^[a-z_]{2,64}$/.test(category)) {
+    filterError = "category must be a Google place type (e.g. roofing_contractor)";
+  }
+  if (filterError) return { httpStatus: 400, body: { ok: false, error: filterError } };
+  const filters = { limit, radiusKm, minReviews, status, category: category || null };
+
+  const includeTarget = !!input.includeTarget;
+  let targetId = trimStr(input.placeId);
+  if (targetId && !PLACE_ID_RE.test(targetId)) {
+    return { httpStatus: 400, body: { ok: false, error: "Invalid placeId" } };
+  }
+
+  const analyzeSites = !!input.analyzeSites;
+  const targetKey = includeTarget ? `:t=${targetId || "auto"}` : "";
+  const siteKey = analyzeSites ? ":sites" : "";
+  const filterKey = `:${limit},${radiusKm || ""},${minReviews},${status},${category}`;
+  const cacheKey =
+    `comp:${profile.version}:${businessName}:${trade}:${area}` +
+    `${filterKey}${targetKey}${siteKey}`;
+  if (!bypassCache || cacheOnly) {
+    const cached = cache.get(cacheKey);
+    if (cached) return { httpStatus: 200, body: withOpenNow(cached) };
+  }
+  if (cacheOnly) return { httpStatus: 404, body: { ok: false, error: "Snapshot not cached" } };
+
+  // 1) Search for competitors — taxonomy phrases, most specific first, following
+  // next_page_token until enough results pass the filters; with a radius the search is
+  // centered on the geocoded area and anything farther out is dropped
+  const center = await geocodeArea(area, { bypassCache });
+  const bias =
+    center && radiusKm
+      ? { location: `${center.lat},${center.lng}`, radius: Math.round(radiusKm * 1000) }
+      : {};
+  const passes = (r) => {
+    if (status !== "ANY" && (r.business_status || "OPERATIONAL") !== status) return false;
+    if ((r.user_ratings_total || 0) < minReviews) return false;
+    if (category && !(r.types || []).includes(category)) return false;
+    if (radiusKm && center) {
+      const km = distanceKm(center, latLngOf(r));
+      if (km !== null && km > radiusKm) return false;
+    }
+    return true;
+  };
+  const seen = new Set();
+  let results = [];
+  const search = { pages: 0, candidates: 0 };
+  const enough = () => results.filter(passes).length > limit;
+  for (const query of searchQueries(trade, area).slice(0, 2)) {
+    let pageToken = null;
+    for (let page = 0; page < MAX_SEARCH_PAGES; page++) {
+      const ts = await places.textSearch(
+        { query, region: "us", ...bias, ...(pageToken ? { pageToken } : {}) },
+        { timeout: 10000 }
+      );
+      search.pages++;
+      for (const r of ts?.results || []) {
+        if (seen.has(r.place_id)) continue;
+        seen.add(r.place_id);
+        results.push(r);
+      }
+      pageToken = ts?.next_page_token;
+      if (!pageToken || enough()) break;
+    }
+    if (enough()) break;
+  }
+  search.candidates = results.length;
+
+  // optional self-exclusion (use similarity to catch variants); the closest match is the
+  // target when ?includeTarget=1 comes without a placeId
+  if (businessName) {
+    let self = null;
+    results = results.filter((r) => {
+      const sim = nameSimilarity(businessName, r.name || "");
+      if (sim < 3) return true;
+      if (!self || sim > self.sim) self = { sim, placeId: r.place_id };
+      return false;
+    });
+    if (includeTarget && !targetId && self) targetId = self.placeId;
+  }
+  if (includeTarget && !targetId && businessName) {
+    const resolved = await resolvePlace(
+      { businessName, businessType: trade, serviceArea: area },
+      { bypassCache }
+    );
+    if (resolved.ok) targetId = resolved.placeId;
+  }
+  if (targetId) results = results.filter((r) => r.place_id !== targetId);
+  results = results.filter(passes);
+  search.eligible = results.length;
+
+  const ranked = results
+    .map((r) => ({
+      place_id: r.place_id,
+      name: r.name,
+      rating: r.rating || 0,
+      user_ratings_total: r.user_ratings_total || 0,
+      formatted_address: r.formatted_address,
+    }))
+    .sort((a, b) => b.rating - a.rating || b.user_ratings_total - a.user_ratings_total)
+    .slice(0, limit);
+
+  // 2) Enrich details with concurrency limit; every business (target included) is scored
+  // from the same details fields with the same GBP model as /api/analyze
+  const snapshotItem = async (placeId) => {
+    const det = await places.placeDetails(
+      {
+        placeId,
+        fields: [
+          "place_id",
+          "name",
+          "rating",
+          "user_ratings_total",
+          "formatted_address",
+          "opening_hours",
+          "website",
+          "types",
+          "photos",
+          "editorial_summary",
+          "geometry",
+          "address_components",
+          "business_status",
+          "utc_offset",
+        ],
+      },
+      { timeout: 8000 }
+    );
+    const d = det?.result;
+    if (!d?.place_id) return null;
+    const coverage = assessCoverage(d, center);
+    const facts = gbpFacts(d, trade, profile, coverage);
+    const { openNow, ...hours } = analyzeHours(d, { businessType: trade });
+    const { gbpScore } = scoreGBPFacts(facts, profile);
+    const km = distanceKm(center, latLngOf(d));
+
+    return {
+      placeId: d.place_id,
+      name: d.name,
+      rating: facts.rating,
+      reviews: facts.reviews,
+      address: d.formatted_address || "",
+      businessStatus: d.business_status || null,
+      distanceKm: km === null ? null : Math.round(km * 10) / 10,
+      sab: coverage.sab,
+      coverage: facts.coverage,
+      openNow,
+      hasHours: facts.hasHours,
+      hours,
+      categoryMatch: facts.categoryMatch,
+      website: d.website || "",
+      types: Array.isArray(d.types) ? d.types : [],
+      summary: d.editorial_summary?.overview || "",
+      photosCount: facts.photos,
+      mapsLink: mapsPlaceLink(d.place_id),
+      gbpScore,
+    };
+  };
+  const tasks = ranked.map((r) => () => snapshotItem(r.place_id).catch(() => null));
+  if (targetId) {
+    tasks.push(async () => {
+      const it = await snapshotItem(targetId).catch(() => null);
+      return it && { ...it, isTarget: true };
     });
+  }
 
-    const itemsRaw = await runWithLimit(2, tasks);
-    const items = itemsRaw.filter(Boolean);
-
-    // 3) Rank by GBP score (from actual details)
-    const scored = items
-      .map((it) => {
-        const dLike = {
-          rating: it.rating,
-          user_ratings_total: it.reviews,
-          types: it.types,
-          opening_hours: { open_now: it.openNow },
-          photos: new Array(it.photosCount || 0).fill(0),
-        };
-        const { gbpScore } = scoreGBP(dLike, trade);
-        return { ...it, gbpScore };
-      })
-      .sort((a, b) => b.gbpScore - a.gbpScore)
-      .map((c, i) => ({ ...c, rank: i + 1 }));
-
-    const payload = {
-      ok: true,
-      trade,
-      area,
-      total: scored.length,
-      cached: false,
-      items: scored,
+  let items = (await runWithLimit(2, tasks)).filter(Boolean);
+
+  // 3) Optional homepage-only website scoring under one time/concurrency budget; the blend
+  // follows /api/analyze (GBP_ONLY when there is no site or it is unreachable)
+  let sites = null;
+  if (analyzeSites) {
+    const withSite = items.filter((it) => it.website);
+    const results = await scoreSitesLite(withSite.map((it) => it.website), profile);
+    const byPlace = new Map(withSite.map((it, i) => [it.placeId, results[i]]));
+    items = items.map((it) => {
+      const site = byPlace.get(it.placeId) || null;
+      const { path, finalScore } = decidePath(
+        { hasPlace: true, hasSite: !!site, siteReachable: !!site?.reachable },
+        it.gbpScore,
+        site?.siteScore || 0,
+        profile
+      );
+      return { ...it, site, siteScore: site?.analyzed ? site.siteScore : null, path, finalScore };
+    });
+    sites = {
+      analyzed: results.filter((r) => r.analyzed).length,
+      skipped: results.filter((r) => !r.analyzed).length,
+      withoutWebsite: items.length - withSite.length,
+      budgetMs: SITE_LITE.budgetMs,
     };
-    cacheSet(cacheKey, payload, COMP_TTL);
-    res.json(payload);
+  }
+
+  // 4) Rank by final (blended) score when sites were scored, else by GBP score
+  const rankedBy = analyzeSites ? "finalScore" : "gbpScore";
+  const scored = items
+    .sort((a, b) => b[rankedBy] - a[rankedBy] || b.gbpScore - a.gbpScore)
+    .map((c, i) => ({ ...c, rank: i + 1 }));
+
+  const payload = {
+    ok: true,
+    trade,
+    tradeLabel: getTrade(trade)?.label || trade,
+    area,
+    center,
+    filters,
+    search,
+    scoringVersion: profile.version,
+    total: scored.length,
+    cached: false,
+    rankedBy,
+    items: scored,
+  };
+  if (sites) payload.sites = sites;
+  if (includeTarget) payload.target = gapAnalysis(scored, profile, { rankedBy });
+  cache.set(cacheKey, payload);
+  return { httpStatus: 200, body: payload };
+}
+
+/**
+ * GET /api/competitive-snapshot
+ * Params:
+ *   ?businessName=...&serviceArea=...&businessType=... (preferred)
+ *   or ?businessType=...&serviceArea=... (also accepts ?trade / ?area)
+ * Optional: ?nocache=1&scoringVersion=v1
+ *   ?includeTarget=1 ranks the business itself among the rivals (found by name, or pass
+ *   ?placeId=...) and adds `target`: rank, gaps vs leader/median, percentiles, summary
+ *   ?sites=1 scores each rival's homepage too and ranks by the blended finalScore
+ *   ?limit=6 (1–20, follows next_page_token), ?radiusKm= (search centered on the geocoded
+ *   area), ?minReviews=, ?status=OPERATIONAL|CLOSED_TEMPORARILY|CLOSED_PERMANENTLY|any,
+ *   ?category=<Google place type>
+ */
+app.get("/api/competitive-snapshot", competitorLimiter, async (req, res) => {
+  try {
+    const { httpStatus, body } = await competitiveSnapshot(
+      {
+        businessName: req.query.businessName,
+        businessType: req.query.businessType || req.query.trade,
+        serviceArea: req.query.serviceArea || req.query.area,
+        scoringVersion: req.query.scoringVersion,
+        includeTarget: req.query.includeTarget === "1",
+        placeId: req.query.placeId,
+        analyzeSites: req.query.sites === "1",
+        limit: req.query.limit,
+        radiusKm: req.query.radiusKm,
+        minReviews: req.query.minReviews,
+        status: req.query.status,
+        category: req.query.category,
+      },
+      { bypassCache: !!req.query?.nocache }
+    );
+    res.status(httpStatus).json(body);
   } catch (e) {
     if (!IS_PRODUCTION) console.error("Competitive snapshot error:", e);
     res.status(500).json({ ok: false, error: "Competitive snapshot failed" });
   }
 });
 
+const GRID_CONCURRENCY = Number(process.env.GRID_CONCURRENCY) || 3;
+
+/**
+ * Geo-grid rank check (backs GET /api/rank-grid): a size×size grid around the geocoded service
+ * area, one location-biased trade search per point, the target's rank (1–20 or null) at each.
+ * Returns { httpStatus, body }.
+ */
+async function rankGrid(input = {}, { bypassCache = false } = {}) {
+  const businessName = trimStr(input.businessName);
+  const trade = trimStr(input.businessType);
+  const area = trimStr(input.serviceArea);
+  let placeId = trimStr(input.placeId);
+  const size = input.size === undefined || input.size === "" ? 5 : Number(input.size);
+  const spacingKm =
+    input.spacingKm === undefined || input.spacingKm === "" ? 2 : Number(input.spacingKm);
+
+  if (!trade || !area) {
+    return {
+      httpStatus: 400,
+      body: { ok: false, error: "Missing ?businessType and/or ?serviceArea" },
+    };
+  }
+  if (!businessName && !placeId) {
+    return { httpStatus: 400, body: { ok: false, error: "Missing ?businessName or ?placeId" } };
+  }
+  if (placeId && !PLACE_ID_RE.test(placeId)) {
+    return { httpStatus: 400, body: { ok: false, error: "Invalid placeId" } };
+  }
+  if (![3, 5, 7].includes(size)) {
+    return { httpStatus: 400, body: { ok: false, error: "size must be 3, 5 or 7" } };
+  }
+  if (!(spacingKm >= 0.5 && spacingKm <= 10)) {
+    return { httpStatus: 400, body: { ok: false, error: "spacingKm must be 0.5–10" } };
+  }
+
+  if (!placeId) {
+    const resolved = await resolvePlace(
+      { businessName, businessType: trade, serviceArea: area },
+      { bypassCache }
+    );
+    if (!resolved.ok) {
+      return {
+        httpStatus: 422,
+        body: {
+          ok: false,
+          error: "Could not find the business; pick a candidate and pass ?placeId=",
+          candidates: resolved.candidates || [],
+        },
+      };
+    }
+    placeId = resolved.placeId;
+  }
+
+  const cacheKey = `grid:${placeId}:${trade}:${area}:${size}:${spacingKm}`;
+  if (!bypassCache) {
+    const cached = cache.get(cacheKey);
+    if (cached) return { httpStatus: 200, body: cached };
+  }
+
+  const center = await geocodeArea(area, { bypassCache });
+  if (!center) {
+    return {
+      httpStatus: 422,
+      body: { ok: false, error: `Could not geocode serviceArea "${area}"` },
+    };
+  }
+
+  const keyword = searchTerm(trade);
+  const radius = Math.round(spacingKm * 1000);
+  let name = businessName;
+  const tasks = buildGrid(center, size, spacingKm).map((pt) => async () => {
+    try {
+      const ts = await places.textSearch(
+        { query: keyword, region: "us", location: `${pt.lat},${pt.lng}`, radius },
+        { timeout: 10000 }
+      );
+      const results = ts?.results || [];
+      const rank = rankIn(results, placeId);
+      if (rank) name = results[rank - 1].name || name;
+      const top = results[0];
+      return {
+        ...pt,
+        rank,
+        leader: top ? { placeId: top.place_id, name: top.name } : null,
+      };
+    } catch (e) {
+      return { ...pt, rank: null, error: e.message || "search failed" };
+    }
+  });
+  const points = await runWithLimit(GRID_CONCURRENCY, tasks);
+  const view = gridView(center, size, spacingKm);
+
+  const payload = {
+    ok: true,
+    placeId,
+    name,
+    trade,
+    tradeLabel: getTrade(trade)?.label || trade,
+    area,
+    keyword,
+    size,
+    spacingKm,
+    center,
+    view,
+    mapEmbedUrl: mapViewEmbedUrl(center, view.zoom),
+    stats: gridStats(points),
+    cached: false,
+    points,
+  };
+  cache.set(cacheKey, payload);
+  return { httpStatus: 200, body: payload };
+}
+
+/**
+ * GET /api/rank-grid
+ * Params: ?businessType=...&serviceArea=... plus ?businessName=... or ?placeId=...
+ * Optional: ?size=5 (3, 5 or 7 → 9–49 searches), ?spacingKm=2 (0.5–10), ?nocache=1
+ */
+app.get("/api/rank-grid", gridLimiter, async (req, res) => {
+  try {
+    const { httpStatus, body } = await rankGrid(
+      {
+        businessName: req.query.businessName,
+        businessType: req.query.businessType || req.query.trade,
+        serviceArea: req.query.serviceArea || req.query.area,
+        placeId: req.query.placeId,
+        size: req.query.size,
+        spacingKm: req.query.spacingKm,
+      },
+      { bypassCache: !!req.query?.nocache }
+    );
+    res.status(httpStatus).json(body);
+  } catch (e) {
+    if (!IS_PRODUCTION) console.error("Rank grid error:", e);
+    res.status(500).json({ ok: false, error: "Rank grid failed" });
+  }
+});
+
+// Reverse geocode for the widget's "use my location": ?lat=..&lon=.. (or &lng=) -> "City, ST"
+app.get("/api/reverse", geocodeLimiter, async (req, res) => {
+  const lat = Number(req.query.lat);
+  const lng = Number(req.query.lon ?? req.query.lng);
+  if (
+    req.query.lat === undefined ||
+    !Number.isFinite(lat) ||
+    !Number.isFinite(lng) ||
+    Math.abs(lat) > 90 ||
+    Math.abs(lng) > 180
+  ) {
+    return res.status(400).json({ ok: false, error: "Missing or invalid ?lat and ?lon" });
+  }
+  try {
+    const out = await reverseGeocodeArea(lat, lng, { bypassCache: !!req.query.nocache });
+    if (!out) return res.status(404).json({ ok: false, error: "No area found at that location" });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    if (!IS_PRODUCTION) console.error("Reverse geocode error:", e);
+    res.status(500).json({ ok: false, error: "Reverse geocode failed" });
+  }
+});
+
 // Quiet favicon
 app.get("/favicon.ico", (_req, res) => res.status(204).end());
 
@@ -0,0 +1,108 @@
+/**
+ * Audit snapshots and score timelines: flattens an /api/analyze response into one numeric
+ * score map, and turns a place's audits into a timeline with per-signal deltas.
+ */
+
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+
+/** Every subscore worth trending, flattened; signals an audit didn't evaluate are null. */
+function flattenScores(result) {
+  const gbp = result.gbp || {};
+  const site = result.site || {};
+  const components = {};
+  for (const [k, v] of Object.entries(site.components || {})) components[k] = num(v);
+  return {
+    finalScore: num(result.finalScore),
+    gbpScore: num(gbp.gbpScore),
+    ratingPct: num(gbp.ratingPct),
+    volumePct: num(gbp.volumePct),
+    categoryPct: num(gbp.categoryPct),
+    photosPct: num(gbp.photosPct),
+    hoursPct: num(gbp.hoursPct),
+    rating: num(gbp.rating),
+    reviewCount: num(gbp.user_ratings_total),
+    siteScore: num(site.siteScore),
+    ...components,
+    schemaScore: num(site.schema?.schemaScore),
+    healthScore: num(site.health?.healthScore),
+    relevanceScore: num(site.relevance?.relevanceScore),
+    napScore: num(result.nap?.consistencyScore),
+    reviewsScore: num(result.reviews?.reviewsScore),
+  };
+}
+
+/** Build the stored record for a successful analyze response. */
+function toAuditRecord(inputs, result) {
+  return {
+    placeId: result.placeId || null,
+    scoringVersion: result.scoringVersion,
+    status: result.status,
+    path: result.path,
+    ceiling: result.ceiling,
+    rationale: result.rationale,
+    inputs,
+    scores: flattenScores(result),
+    gbp: result.gbp,
+    site: result.site,
+    nap: result.nap,
+    coverage: result.coverage || null,
+    reviews: result.reviews || null,
+    hours: result.hours || null,
+    recommendations: result.recommendations || [],
+    scoringInputs: result.scoringInputs || null,
+  };
+}
+
+function scoreDeltas(from, to) {
+  const out = {};
+  for (const k of Object.keys(to || {})) {
+    if (num(to[k]) === null || num(from?.[k]) === null) continue;
+    out[k] = Math.round((to[k] - from[k]) * 100) / 100;
+  }
+  return out;
+}
+
+// Last audit of each calendar month (UTC), for month-over-month views.
+function lastPerMonth(audits) {
+  const byMonth = new Map();
+  for (const a of audits) byMonth.set(a.createdAt.slice(0, 7), a);
+  return [...byMonth.values()];
+}
+
+/**
+ * audits: oldest first. Deltas compare each point with the previous one; `comparable` is false
+ * when the scoring version changed in between (the numbers are on different scales).
+ */
+function buildHistory(audits, { granularity = "audit" } = {}) {
+  const points = granularity === "month" ? lastPerMonth(audits) : audits;
+  const timeline = points.map((a, i) => {
+    const prev = points[i - 1];
+    return {
+      id: a.id,
+      createdAt: a.createdAt,
+      scoringVersion: a.scoringVersion,
+      status: a.status,
+      scores: a.scores,
+      deltas: prev ? scoreDeltas(prev.scores, a.scores) : {},
+      comparable: prev ? prev.scoringVersion === a.scoringVersion : true,
+    };
+  });
+  const first = timeline[0];
+  const last = timeline[timeline.length - 1];
+  return {
+    granularity,
+    count: timeline.length,
+    timeline,
+    change:
+      timeline.length > 1
+        ? {
+            from: first.createdAt,
+            to: last.createdAt,
+            deltas: scoreDeltas(first.scores, last.scores),
+            comparable: timeline.every((p) => p.scoringVersion === first.scoringVersion),
+          }
+        : null,
+  };
+}
+
+module.exports = { flattenScores, toAuditRecord, buildHistory };
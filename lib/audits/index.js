@@ -0,0 +1,20 @@
+/**
+ * Audit history: storage plus timeline helpers.
+ * Env: AUDIT_STORE (file | memory; default file when AUDIT_DIR is set, else memory), AUDIT_DIR
+ * (required for the file store — a persistent disk, not tmp), AUDIT_MAX_ENTRIES (memory store).
+ */
+
+const store = require("./store");
+const { flattenScores, toAuditRecord, buildHistory } = require("./history");
+
+function createAuditStore({
+  dir = process.env.AUDIT_DIR,
+  driver = process.env.AUDIT_STORE || (dir ? "file" : "memory"),
+} = {}) {
+  if (!process.env.AUDIT_STORE && !dir) {
+    console.warn("WARN: AUDIT_DIR is not set — audits are kept in memory and lost on restart.");
+  }
+  return store.createAuditStore({ driver, dir });
+}
+
+module.exports = { createAuditStore, flattenScores, toAuditRecord, buildHistory };
@@ -0,0 +1,178 @@
+/**
+ * Audit record store (memory | file). The file driver appends one JSON record per line to
+ * <dir>/audits.jsonl and keeps only an index in memory (id, placeId, createdAt and the record's
+ * byte range in the log, replayed on startup); records are read back from disk on lookup. The
+ * memory driver keeps whole records, bounded to the newest `maxEntries`.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULTS = {
+  maxEntries: Number(process.env.AUDIT_MAX_ENTRIES) || 1000,
+};
+
+// Index entries: { id, placeId, createdAt } plus either `rec` (memory driver, or a record whose
+// append is pending/failed) or `offset` + `length` into the log.
+function createIndex({ maxEntries = Infinity } = {}) {
+  const byId = new Map();
+  const byPlace = new Map();
+  const unlink = (meta) => {
+    const list = byPlace.get(meta.placeId);
+    if (!list) return;
+    const rest = list.filter((m) => m !== meta);
+    if (rest.length) byPlace.set(meta.placeId, rest);
+    else byPlace.delete(meta.placeId);
+  };
+  return {
+    add(meta) {
+      byId.set(meta.id, meta);
+      if (meta.placeId) {
+        if (!byPlace.has(meta.placeId)) byPlace.set(meta.placeId, []);
+        byPlace.get(meta.placeId).push(meta);
+      }
+      // Map iteration is insertion order, so the first key is the oldest record.
+      while (byId.size > maxEntries) {
+        const oldest = byId.values().next().value;
+        byId.delete(oldest.id);
+        unlink(oldest);
+      }
+    },
+    get: (id) => byId.get(id) || null,
+    forPlace: (placeId) => byPlace.get(placeId) || [],
+    size: () => byId.size,
+  };
+}
+
+const metaOf = (rec) => ({
+  id: rec.id,
+  placeId: rec.placeId || null,
+  createdAt: rec.createdAt,
+});
+
+// Replays the log into the index (metadata + byte ranges only); returns the log's size in bytes.
+function loadJsonl(file, index) {
+  let buf;
+  try {
+    buf = fs.readFileSync(file);
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`WARN: cannot read audit log ${file}: ${e.message}`);
+    return 0;
+  }
+  let bad = 0;
+  for (let start = 0; start < buf.length; ) {
+    let end = buf.indexOf(0x0a, start);
+    if (end === -1) end = buf.length;
+    const line = buf.toString("utf8", start, end);
+    if (line.trim()) {
+      try {
+        index.add({ ...metaOf(JSON.parse(line)), offset: start, length: end - start });
+      } catch {
+        bad++;
+      }
+    }
+    start = end + 1;
+  }
+  if (bad) console.warn(`WARN: skipped ${bad} unreadable line(s) in ${file}`);
+  return buf.length;
+}
+
+async function readRecord(file, { offset, length }) {
+  const fh = await fs.promises.open(file, "r");
+  try {
+    const buf = Buffer.alloc(length);
+    await fh.read(buf, 0, length, offset);
+    return JSON.parse(buf.toString("utf8"));
+  } finally {
+    await fh.close();
+  }
+}
+
+/**
+ * createAuditStore({ driver, dir, maxEntries }) ->
+ *   { name, save(record), get(id), listByPlace(placeId), size }
+ * save() assigns id + createdAt and resolves once the record is durable (file driver).
+ */
+function createAuditStore({ driver = "file", dir, maxEntries = DEFAULTS.maxEntries } = {}) {
+  const kind = String(driver).toLowerCase();
+  let file = null;
+  let bytes = 0;
+  let writes = Promise.resolve();
+  let index;
+
+  if (kind === "file") {
+    if (!dir) throw new Error("File audit store requires a directory (set AUDIT_DIR)");
+    file = path.join(dir, "audits.jsonl");
+    fs.mkdirSync(dir, { recursive: true });
+    index = createIndex();
+    bytes = loadJsonl(file, index);
+  } else if (kind === "memory") {
+    index = createIndex({ maxEntries });
+  } else {
+    throw new Error(`Unknown AUDIT_STORE "${driver}" (expected memory | file)`);
+  }
+
+  async function append(meta, rec) {
+    const line = Buffer.from(`${JSON.stringify(rec)}\n`);
+    try {
+      await fs.promises.appendFile(file, line);
+      meta.offset = bytes;
+      meta.length = line.length - 1;
+      bytes += line.length;
+      delete meta.rec;
+    } catch (e) {
+      // Keep the record in memory; resync the offset in case part of the line was written.
+      console.warn(`WARN: could not persist audit ${rec.id}: ${e.message}`);
+      bytes = await fs.promises.stat(file).then((s) => s.size, () => bytes);
+    }
+  }
+
+  async function save(record) {
+    const rec = { id: crypto.randomUUID(), createdAt: new Date().toISOString(), ...record };
+    const meta = { ...metaOf(rec), rec };
+    index.add(meta);
+    if (file) {
+      writes = writes.then(() => append(meta, rec));
+      await writes;
+    }
+    return rec;
+  }
+
+  const load = async (meta) => (meta.rec ? meta.rec : readRecord(file, meta));
+
+  async function get(id) {
+    const meta = index.get(id);
+    if (!meta) return null;
+    try {
+      return await load(meta);
+    } catch (e) {
+      console.warn(`WARN: cannot read audit ${id}: ${e.message}`);
+      return null;
+    }
+  }
+
+  // Oldest first.
+  async function listByPlace(placeId) {
+    const metas = [...index.forPlace(placeId)].sort((a, b) =>
+      a.createdAt.localeCompare(b.createdAt)
+    );
+    const out = [];
+    for (const m of metas) {
+      const rec = await load(m).catch(() => null);
+      if (rec) out.push(rec);
+    }
+    return out;
+  }
+
+  return {
+    name: kind,
+    file,
+    save,
+    get,
+    listByPlace,
+    size: () => index.size(),
+  };
+}
+
+module.exports = { createAuditStore, DEFAULTS };
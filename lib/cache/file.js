@@ -0,0 +1,145 @@
+/**
+ * File-backed persistent cache driver: an LRU memory driver mirrored to a JSON snapshot.
+ * Loads on startup (dropping expired entries); writes are debounced and saved asynchronously
+ * (temp file + rename), and unsaved changes are written synchronously when the process exits
+ * (including SIGTERM/SIGINT), so warm data survives restarts and deploys that keep the same disk.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createMemoryDriver } = require("./memory");
+
+// Entries serialized per event-loop turn, so a large snapshot doesn't block requests.
+const SERIALIZE_CHUNK = 250;
+
+// Every file driver in the process; each saves its unsaved changes on exit.
+const drivers = new Set();
+let exitHooked = false;
+
+function hookExit() {
+  if (exitHooked) return;
+  exitHooked = true;
+  process.on("exit", () => {
+    for (const d of drivers) d.flushSync();
+  });
+  // A listening server never reaches "beforeExit", and a signal handler replaces Node's
+  // default exit: exit explicitly (which runs the "exit" flush) unless someone else handles it.
+  for (const [signal, code] of [
+    ["SIGTERM", 143],
+    ["SIGINT", 130],
+  ]) {
+    process.once(signal, () => {
+      if (process.listenerCount(signal) === 0) process.exit(code);
+    });
+  }
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+function createFileDriver({ file, maxEntries = 5000, flushDelayMs = 2000, onEvict } = {}) {
+  if (!file) throw new Error("File cache driver requires a file path");
+  const mem = createMemoryDriver({ maxEntries, onEvict });
+  let timer = null;
+  let writing = null;
+  let version = 0; // bumped on every change
+  let saved = 0; // version the file on disk reflects
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    const t = Date.now();
+    for (const [key, entry] of raw.entries || []) {
+      if (entry && entry.exp > t) mem.set(key, entry);
+    }
+  } catch (e) {
+    if (e.code !== "ENOENT") {
+      console.warn(`WARN: ignoring unreadable cache file ${file}: ${e.message}`);
+    }
+  }
+
+  async function serialize() {
+    const entries = [...mem.entries()];
+    const parts = [];
+    for (let i = 0; i < entries.length; i += SERIALIZE_CHUNK) {
+      parts.push(entries.slice(i, i + SERIALIZE_CHUNK).map((e) => JSON.stringify(e)).join(","));
+      await tick();
+    }
+    return `{"savedAt":${Date.now()},"entries":[${parts.join(",")}]}`;
+  }
+
+  async function write() {
+    const at = version;
+    try {
+      const body = await serialize();
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, body);
+      await fs.promises.rename(tmp, file);
+      saved = Math.max(saved, at);
+    } catch (e) {
+      console.warn(`WARN: could not persist cache to ${file}: ${e.message}`);
+    }
+  }
+
+  /** Save now (async). Changes made while a save is in flight are picked up by another one. */
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (writing) return writing.then(() => (saved < version ? flush() : undefined));
+    writing = write().finally(() => {
+      writing = null;
+    });
+    return writing;
+  }
+
+  // Exit path: no event loop left, so write synchronously (skipped when nothing is unsaved).
+  function flushSync() {
+    if (saved >= version) return;
+    clearTimeout(timer);
+    timer = null;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.exit.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ savedAt: Date.now(), entries: [...mem.entries()] }));
+      fs.renameSync(tmp, file);
+      saved = version;
+    } catch (e) {
+      console.warn(`WARN: could not persist cache to ${file}: ${e.message}`);
+    }
+  }
+
+  const changed = () => {
+    version++;
+    if (!timer) {
+      timer = setTimeout(flush, flushDelayMs);
+      timer.unref();
+    }
+  };
+
+  const driver = {
+    name: "file",
+    file,
+    get: (key) => mem.get(key),
+    set(key, entry) {
+      mem.set(key, entry);
+      changed();
+    },
+    delete(key) {
+      const had = mem.delete(key);
+      if (had) changed();
+      return had;
+    },
+    entries: () => mem.entries(),
+    size: () => mem.size(),
+    clear() {
+      mem.clear();
+      changed();
+    },
+    flush,
+    flushSync,
+  };
+  drivers.add(driver);
+  hookExit();
+  return driver;
+}
+
+module.exports = { createFileDriver };
@@ -0,0 +1,151 @@
+/**
+ * Namespaced TTL cache over a pluggable driver (memory | file).
+ * Keys are "<namespace>:<rest>" (place:, details:, comp:, geo: ...); each namespace has its own TTL
+ * and hit/miss/set/eviction/expiration counters.
+ *
+ * Env: CACHE_DRIVER, CACHE_MAX_ENTRIES, CACHE_FILE, CACHE_TTL_<NAMESPACE> (seconds).
+ */
+
+const os = require("os");
+const path = require("path");
+const { createMemoryDriver } = require("./memory");
+const { createFileDriver } = require("./file");
+
+const HOUR = 60 * 60 * 1000;
+const DEFAULT_TTLS = {
+  place: 3 * HOUR,
+  details: 12 * HOUR,
+  comp: 1 * HOUR,
+  geo: 30 * 24 * HOUR,
+};
+const FALLBACK_TTL = 6 * HOUR;
+
+const namespaceOf = (key) => {
+  const i = String(key).indexOf(":");
+  return i > 0 ? key.slice(0, i) : "default";
+};
+
+function ttlsFromEnv(base) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(process.env)) {
+    const m = k.match(/^CACHE_TTL_([A-Z0-9_]+)$/);
+    if (m && Number(v) > 0) out[m[1].toLowerCase()] = Number(v) * 1000;
+  }
+  return out;
+}
+
+function createCache({
+  driver = process.env.CACHE_DRIVER || "memory",
+  maxEntries = Number(process.env.CACHE_MAX_ENTRIES) || 5000,
+  file = process.env.CACHE_FILE || path.join(os.tmpdir(), "elev8-cache.json"),
+  ttls = ttlsFromEnv(DEFAULT_TTLS),
+} = {}) {
+  const counters = new Map();
+  const bump = (ns, field) => {
+    if (!counters.has(ns)) {
+      counters.set(ns, { hits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0, purges: 0 });
+    }
+    counters.get(ns)[field]++;
+  };
+  const onEvict = (key) => bump(namespaceOf(key), "evictions");
+
+  let store;
+  switch (String(driver).toLowerCase()) {
+    case "memory":
+      store = createMemoryDriver({ maxEntries, onEvict });
+      break;
+    case "file":
+      store = createFileDriver({ file, maxEntries, onEvict });
+      break;
+    default:
+      throw new Error(`Unknown CACHE_DRIVER "${driver}" (expected memory | file)`);
+  }
+
+  const ttlFor = (key) => ttls[namespaceOf(key)] || FALLBACK_TTL;
+
+  function get(key) {
+    const ns = namespaceOf(key);
+    const hit = store.get(key);
+    if (!hit) {
+      bump(ns, "misses");
+      return null;
+    }
+    if (hit.exp < Date.now()) {
+      store.delete(key);
+      bump(ns, "expirations");
+      bump(ns, "misses");
+      return null;
+    }
+    bump(ns, "hits");
+    return hit.v;
+  }
+
+  function set(key, val, ttlMs) {
+    const t = Date.now();
+    store.set(key, { v: val, exp: t + (ttlMs || ttlFor(key)), at: t });
+    bump(namespaceOf(key), "sets");
+  }
+
+  // Matches by key prefix and/or placeId (in the key or anywhere in the cached value).
+  function matcher({ prefix, placeId } = {}) {
+    const needle = placeId ? `"${placeId}"` : null;
+    return (key, entry) => {
+      if (prefix && !key.startsWith(prefix)) return false;
+      if (placeId && !key.includes(placeId) && !JSON.stringify(entry.v).includes(needle)) {
+        return false;
+      }
+      return true;
+    };
+  }
+
+  function purge(filter = {}) {
+    if (!filter.prefix && !filter.placeId) return 0;
+    const match = matcher(filter);
+    const doomed = [];
+    for (const [key, entry] of store.entries()) if (match(key, entry)) doomed.push(key);
+    for (const key of doomed) {
+      store.delete(key);
+      bump(namespaceOf(key), "purges");
+    }
+    return doomed.length;
+  }
+
+  function list(filter = {}, limit = 100) {
+    const match = matcher(filter);
+    const t = Date.now();
+    const out = [];
+    for (const [key, entry] of store.entries()) {
+      if (!match(key, entry)) continue;
+      out.push({
+        key,
+        namespace: namespaceOf(key),
+        expiresInMs: entry.exp - t,
+        storedAt: entry.at ? new Date(entry.at).toISOString() : null,
+        bytes: Buffer.byteLength(JSON.stringify(entry.v) || ""),
+      });
+      if (out.length >= limit) break;
+    }
+    return out;
+  }
+
+  function stats() {
+    const byNamespace = {};
+    for (const [key] of store.entries()) {
+      const ns = namespaceOf(key);
+      byNamespace[ns] = byNamespace[ns] || { entries: 0 };
+      byNamespace[ns].entries++;
+    }
+    for (const [ns, c] of counters) byNamespace[ns] = { entries: 0, ...byNamespace[ns], ...c };
+    return {
+      driver: store.name,
+      maxEntries,
+      size: store.size(),
+      ttlsMs: ttls,
+      namespaces: byNamespace,
+    };
+  }
+
+  return { get, set, purge, list, stats, driver: store };
+}
+
+module.exports = { createCache, namespaceOf };
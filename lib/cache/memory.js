@@ -0,0 +1,42 @@
+/**
+ * LRU-bounded in-memory cache driver. Map insertion order doubles as recency order:
+ * reads re-insert the key, so the first key is always the least recently used.
+ */
+
+function createMemoryDriver({ maxEntries = 5000, onEvict } = {}) {
+  const map = new Map();
+
+  return {
+    name: "memory",
+    get(key) {
+      const hit = map.get(key);
+      if (hit === undefined) return undefined;
+      map.delete(key);
+      map.set(key, hit);
+      return hit;
+    },
+    set(key, entry) {
+      if (map.has(key)) map.delete(key);
+      map.set(key, entry);
+      while (map.size > maxEntries) {
+        const oldest = map.keys().next().value;
+        map.delete(oldest);
+        if (onEvict) onEvict(oldest);
+      }
+    },
+    delete(key) {
+      return map.delete(key);
+    },
+    *entries() {
+      yield* map.entries();
+    },
+    size() {
+      return map.size;
+    },
+    clear() {
+      map.clear();
+    },
+  };
+}
+
+module.exports = { createMemoryDriver };
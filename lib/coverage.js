@@ -0,0 +1,88 @@
+/**
+ * Service-area business (SAB) detection and service-area coverage. Google ranks a profile from
+ * its address (hidden or not), so a pin far from the town being targeted explains weak local
+ * visibility no matter how good the profile is. The Places API does not expose a profile's
+ * declared service areas, so coverage is judged from the pin, the address locality and a
+ * plausible service radius (wider for SABs, which travel to customers).
+ */
+
+const { latLngOf, distanceKm, areaFromGeocode } = require("./geo");
+
+const DEFAULTS = {
+  storefrontKm: Number(process.env.COVERAGE_STOREFRONT_KM) || 15,
+  sabKm: Number(process.env.COVERAGE_SAB_KM) || 40,
+};
+
+// Statuses the scoring profiles know; "unknown" (no pin or no area) scores as neutral.
+const COVERAGE_STATUSES = ["inside", "nearby", "distant"];
+
+const hasType = (comp, type) => (comp.types || []).includes(type);
+
+/**
+ * Storefront vs. service-area profile from Place Details:
+ * { type: "storefront" | "service_area" | "unknown", sab: boolean | null, evidence }.
+ * SABs hide their street address, so Google returns the address without a street number or
+ * route (often just "Denver, CO, USA"); the newer API's pure_service_area_business flag wins.
+ */
+function detectSab(details) {
+  if (!details) return { type: "unknown", sab: null, evidence: "no_details" };
+  const flag = details.pure_service_area_business ?? details.pureServiceAreaBusiness;
+  if (typeof flag === "boolean") {
+    return { type: flag ? "service_area" : "storefront", sab: flag, evidence: "google_flag" };
+  }
+  const comps = details.address_components;
+  if (Array.isArray(comps) && comps.length) {
+    const street = comps.some((c) => hasType(c, "street_number") || hasType(c, "route"));
+    return street
+      ? { type: "storefront", sab: false, evidence: "street_address" }
+      : { type: "service_area", sab: true, evidence: "address_hidden" };
+  }
+  const addr = String(details.formatted_address || "").trim();
+  if (!addr) return { type: "service_area", sab: true, evidence: "address_hidden" };
+  return /^\d/.test(addr)
+    ? { type: "storefront", sab: false, evidence: "street_address" }
+    : { type: "service_area", sab: true, evidence: "address_hidden" };
+}
+
+const sameName = (a, b) =>
+  !!a && !!b && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/**
+ * Does this profile plausibly cover the geocoded service area?
+ * area: geocodeArea() output ({ lat, lng, area: { city, county, state, label } }) or null.
+ * Returns { type, sab, evidence, serviceArea, locality, localityMatch, distanceKm, radiusKm,
+ *   status: "inside" | "nearby" | "distant" | "unknown", covers (null when unknown) }.
+ * inside = same locality or within half the radius; nearby = within the radius.
+ */
+function assessCoverage(details, area, opts = {}) {
+  const { storefrontKm = DEFAULTS.storefrontKm, sabKm = DEFAULTS.sabKm } = opts;
+  const sab = detectSab(details);
+  const pin = latLngOf(details?.geometry);
+  const center = area ? latLngOf(area) : null;
+  const own = details?.address_components ? areaFromGeocode(details) : {};
+  const locality = own.city || null;
+  const want = area?.area || {};
+  const localityMatch =
+    locality && want.city
+      ? sameName(locality, want.city) && (!own.state || !want.state || own.state === want.state)
+      : null;
+  const radiusKm = sab.sab ? sabKm : storefrontKm;
+  const d = distanceKm(pin, center);
+
+  let status = "unknown";
+  if (localityMatch) status = "inside";
+  else if (d !== null) status = d <= radiusKm / 2 ? "inside" : d <= radiusKm ? "nearby" : "distant";
+
+  return {
+    ...sab,
+    serviceArea: want.label || area?.formattedAddress || null,
+    locality,
+    localityMatch,
+    distanceKm: d === null ? null : Math.round(d * 10) / 10,
+    radiusKm,
+    status,
+    covers: status === "unknown" ? null : status !== "distant",
+  };
+}
+
+module.exports = { detectSab, assessCoverage, COVERAGE_STATUSES, DEFAULTS };
@@ -0,0 +1,63 @@
+/**
+ * Small geo helpers: lat/lng parsing from Google payloads, great-circle distances and canonical
+ * area names from geocoder address components.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+/** { lat, lng } from a Google result/geometry/location, or null. */
+function latLngOf(x) {
+  const loc = x?.geometry?.location || x?.location || x;
+  const lat = Number(loc?.lat);
+  const lng = Number(loc?.lng);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+}
+
+/** Haversine distance in km between two { lat, lng } points (null if either is missing). */
+function distanceKm(a, b) {
+  if (!a || !b) return null;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/** Point `northKm` / `eastKm` away from `origin` (flat-earth approximation; fine at city scale). */
+function offsetLatLng(origin, northKm, eastKm) {
+  const dLat = (northKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+  const dLng = (eastKm / (EARTH_RADIUS_KM * Math.cos(toRad(origin.lat)))) * (180 / Math.PI);
+  return { lat: origin.lat + dLat, lng: origin.lng + dLng };
+}
+
+/**
+ * Canonical area from a geocoder result: { city, county, state, stateName, country, label }.
+ * label is "City, ST", else "Some County, ST", else the state name (null when none apply).
+ */
+function areaFromGeocode(result) {
+  const comps = result?.address_components || [];
+  const find = (...types) =>
+    types.map((t) => comps.find((c) => (c.types || []).includes(t))).find(Boolean) || null;
+  const city = find("locality", "postal_town", "sublocality");
+  const county = find("administrative_area_level_2");
+  const state = find("administrative_area_level_1");
+  const country = find("country");
+  const st = state?.short_name || null;
+  const place = city || county;
+  let label = null;
+  if (place) label = st ? `${place.long_name}, ${st}` : place.long_name;
+  else if (state) label = state.long_name;
+  return {
+    city: city?.long_name || null,
+    county: county?.long_name || null,
+    state: st,
+    stateName: state?.long_name || null,
+    country: country?.short_name || null,
+    label,
+  };
+}
+
+module.exports = { latLngOf, distanceKm, offsetLatLng, areaFromGeocode, EARTH_RADIUS_KM };
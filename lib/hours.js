@@ -0,0 +1,167 @@
+/**
+ * Weekly opening-hours analysis from Place Details `opening_hours` (periods, else weekday_text):
+ * days covered, weekend availability, 24/7 / emergency service and missing-hours flags, plus an
+ * "open now" computed from the schedule in the business's own UTC offset. Google's `open_now`
+ * is a snapshot of the moment the details were fetched (and then cached), so it is never used.
+ */
+
+const { getTrade } = require("./trades");
+
+const DAY_MIN = 24 * 60;
+const WEEK_MIN = 7 * DAY_MIN;
+const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const EMERGENCY_RE = /\b(24\/7|24 ?hours?|24-hour|emergency)\b/i;
+
+// Mon–Fri 8:00–17:00 plus Saturday 9:00–13:00: what "publish your hours" is modelled as.
+const TYPICAL_PERIODS = [1, 2, 3, 4, 5]
+  .map((day) => ({ open: { day, time: "0800" }, close: { day, time: "1700" } }))
+  .concat([{ open: { day: 6, time: "0900" }, close: { day: 6, time: "1300" } }]);
+// Google's encoding of "open 24 hours, every day": one period, open Sunday 00:00, no close.
+const ALWAYS_OPEN_PERIODS = [{ open: { day: 0, time: "0000" } }];
+
+const minuteOf = (p) => {
+  const t = String(p?.time || "");
+  if (!/^\d{4}$/.test(t) || !(p.day >= 0 && p.day <= 6)) return null;
+  return p.day * DAY_MIN + Number(t.slice(0, 2)) * 60 + Number(t.slice(2));
+};
+
+/** periods -> [[start, end]] minutes since Sunday 00:00, wrapped into one week. */
+function weeklyIntervals(periods) {
+  const out = [];
+  for (const p of periods || []) {
+    const start = minuteOf(p.open);
+    if (start === null) continue;
+    if (!p.close) {
+      out.push([0, WEEK_MIN]);
+      continue;
+    }
+    let end = minuteOf(p.close);
+    if (end === null) continue;
+    if (end <= start) end += WEEK_MIN;
+    if (end <= WEEK_MIN) out.push([start, end]);
+    else out.push([start, WEEK_MIN], [0, end - WEEK_MIN]);
+  }
+  return out.sort((a, b) => a[0] - b[0]);
+}
+
+// weekday_text only: which days are open and whether every one says "Open 24 hours".
+function daysFromText(lines) {
+  const open = new Set();
+  let allDay = 0;
+  for (const line of lines || []) {
+    const [name, rest = ""] = String(line).split(/:\s*/, 2);
+    const day = DAY_NAMES.findIndex((d) => d.toLowerCase() === name.trim().toLowerCase());
+    if (day === -1 || /closed/i.test(rest)) continue;
+    open.add(day);
+    if (/24 hours/i.test(rest)) allDay++;
+  }
+  return { open, is24x7: open.size === 7 && allDay === 7 };
+}
+
+/**
+ * details: Place Details (opening_hours, utc_offset_minutes, name, editorial_summary).
+ * Returns { listed, source ("periods" | "weekday_text" | "open_now_only" | null), openDays,
+ *   daysOpen, weekdaysOpen, weekend: { saturday, sunday }, weeklyHours, is24x7,
+ *   emergency: { offered, expected, signals }, flags, utcOffsetMinutes, intervals, openNow }.
+ */
+function analyzeHours(details, { businessType, now = Date.now() } = {}) {
+  const oh = details?.opening_hours || null;
+  const periods = Array.isArray(oh?.periods) ? oh.periods : [];
+  const text = Array.isArray(oh?.weekday_text) ? oh.weekday_text : [];
+  const offset = details?.utc_offset_minutes ?? details?.utc_offset;
+  const utcOffsetMinutes = Number.isFinite(offset) ? offset : null;
+
+  let source = null;
+  let intervals = null;
+  let open = new Set();
+  let is24x7 = false;
+  if (periods.length) {
+    source = "periods";
+    intervals = weeklyIntervals(periods);
+    is24x7 = intervals.length === 1 && intervals[0][0] === 0 && intervals[0][1] === WEEK_MIN;
+    open = is24x7
+      ? new Set([0, 1, 2, 3, 4, 5, 6])
+      : new Set(periods.map((p) => p.open?.day).filter((d) => d >= 0 && d <= 6));
+  } else if (text.length) {
+    source = "weekday_text";
+    ({ open, is24x7 } = daysFromText(text));
+  } else if (oh) {
+    source = "open_now_only";
+  }
+  const listed = source === "periods" || source === "weekday_text";
+
+  const weekdaysOpen = [1, 2, 3, 4, 5].filter((d) => open.has(d)).length;
+  const weekend = { saturday: open.has(6), sunday: open.has(0) };
+  const weeklyHours = intervals
+    ? Math.round(intervals.reduce((sum, [s, e]) => sum + (e - s), 0) / 60)
+    : null;
+
+  const signals = [];
+  if (is24x7) signals.push("open_24_7");
+  if (EMERGENCY_RE.test(details?.name || "")) signals.push("name");
+  if (EMERGENCY_RE.test(details?.editorial_summary?.overview || "")) signals.push("summary");
+  const emergency = {
+    offered: signals.length > 0,
+    expected: !!getTrade(businessType)?.emergency,
+    signals,
+  };
+
+  const flags = [];
+  if (!listed) flags.push(source === "open_now_only" ? "no_weekly_schedule" : "missing_hours");
+  else {
+    if (!weekend.saturday && !weekend.sunday) flags.push("closed_weekends");
+    if (weekdaysOpen < 5) flags.push("short_week");
+    if (emergency.expected && !emergency.offered) flags.push("no_emergency_hours");
+  }
+
+  const out = {
+    listed,
+    source,
+    openDays: DAY_NAMES.filter((_, d) => open.has(d)),
+    daysOpen: open.size,
+    weekdaysOpen,
+    weekend,
+    weeklyHours,
+    is24x7,
+    emergency,
+    flags,
+    utcOffsetMinutes,
+    intervals,
+  };
+  return { ...out, openNow: isOpenAt(out, now) };
+}
+
+/**
+ * Open at `now` in the business's local time? Needs the weekly intervals and a UTC offset;
+ * null when either is unknown (24/7 is always open).
+ */
+function isOpenAt(hours, now = Date.now()) {
+  if (!hours) return null;
+  if (hours.is24x7) return true;
+  if (!hours.intervals || hours.utcOffsetMinutes === null) return null;
+  const local = new Date(now + hours.utcOffsetMinutes * 60000);
+  const m = local.getUTCDay() * DAY_MIN + local.getUTCHours() * 60 + local.getUTCMinutes();
+  return hours.intervals.some(([s, e]) => m >= s && m < e);
+}
+
+/** The scoring slice of analyzeHours() output (what gbpFacts stores as `weekly`). */
+function hoursFacts(h) {
+  if (!h) return null;
+  return {
+    listed: h.listed,
+    daysOpen: h.daysOpen,
+    weekdaysOpen: h.weekdaysOpen,
+    weekend: h.weekend.saturday || h.weekend.sunday,
+    emergency: h.emergency.offered,
+    emergencyExpected: h.emergency.expected,
+  };
+}
+
+module.exports = {
+  analyzeHours,
+  isOpenAt,
+  hoursFacts,
+  weeklyIntervals,
+  TYPICAL_PERIODS,
+  ALWAYS_OPEN_PERIODS,
+};
@@ -0,0 +1,80 @@
+/**
+ * Batch audit jobs: CSV/JSON row import, the job queue, and result export.
+ */
+
+const { createJobQueue } = require("./queue");
+const { csvToObjects, toCsv } = require("./csv");
+
+// Accepted header spellings for each analyze input (compared lowercase, letters only).
+const COLUMN_ALIASES = {
+  businessName: ["name", "businessname", "business", "company"],
+  businessType: ["trade", "businesstype", "type", "category"],
+  serviceArea: ["area", "servicearea", "city", "location", "county"],
+  websiteUrl: ["website", "websiteurl", "url", "site", "domain"],
+  placeId: ["placeid"],
+};
+const keyFor = (header) => {
+  const h = String(header).toLowerCase().replace(/[^a-z]/g, "");
+  return Object.keys(COLUMN_ALIASES).find((k) => COLUMN_ALIASES[k].includes(h)) || null;
+};
+
+function normalizeRow(raw) {
+  const out = {};
+  for (const [k, v] of Object.entries(raw || {})) {
+    const key = keyFor(k);
+    const val = String(v ?? "").trim();
+    if (key && val && !out[key]) out[key] = val;
+  }
+  return out;
+}
+
+/**
+ * Rows from a CSV string or an array of objects. Rows with neither a name nor a website are
+ * reported as skipped instead of being queued.
+ */
+function parseJobRows(source) {
+  let raw = [];
+  if (typeof source === "string") raw = csvToObjects(source);
+  else if (Array.isArray(source)) raw = source;
+  const rows = [];
+  const skipped = [];
+  raw.forEach((r, i) => {
+    const row = normalizeRow(r);
+    if (row.businessName || row.websiteUrl || row.placeId) rows.push(row);
+    else skipped.push({ line: i + 1, reason: "needs a name, website or placeId" });
+  });
+  return { rows, skipped };
+}
+
+const RESULT_COLUMNS = [
+  "row",
+  "state",
+  "businessName",
+  "businessType",
+  "serviceArea",
+  "websiteUrl",
+  "status",
+  "finalScore",
+  "gbpScore",
+  "siteScore",
+  "rating",
+  "reviewCount",
+  "placeId",
+  "auditId",
+  "error",
+];
+
+function resultRows(job) {
+  return job.rows.map((r) => ({
+    row: r.index + 1,
+    state: r.state,
+    ...r.input,
+    ...(r.result || {}),
+    auditId: r.auditId || "",
+    error: r.error || "",
+  }));
+}
+
+const resultsToCsv = (job) => toCsv(RESULT_COLUMNS, resultRows(job));
+
+module.exports = { createJobQueue, parseJobRows, resultRows, resultsToCsv, RESULT_COLUMNS };
@@ -0,0 +1,118 @@
+/**
+ * In-process batch job queue. Jobs run one at a time (FIFO); rows inside a job run through
+ * runWithLimit under a per-job concurrency cap and a shared per-minute start budget, so a
+ * batch can never outpace what the single-audit route allows.
+ */
+
+const crypto = require("crypto");
+const { runWithLimit } = require("../limit");
+
+// At most `perMinute` starts in any rolling 60 s window; take() waits for a free slot.
+function createRateBudget(perMinute) {
+  const starts = [];
+  const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+  return {
+    async take() {
+      for (;;) {
+        const t = Date.now();
+        while (starts.length && t - starts[0] >= 60000) starts.shift();
+        if (starts.length < perMinute) {
+          starts.push(t);
+          return;
+        }
+        await sleep(60000 - (t - starts[0]) + 5);
+      }
+    },
+  };
+}
+
+/**
+ * createJobQueue({ run, concurrency, perMinute, maxJobs, retentionMs })
+ * run(input) -> Promise<row outcome>; throwing marks the row as an error.
+ */
+function createJobQueue({
+  run,
+  concurrency = 2,
+  perMinute = 15,
+  maxJobs = 50,
+  retentionMs = 24 * 60 * 60 * 1000,
+}) {
+  const jobs = new Map();
+  const pending = [];
+  const budget = createRateBudget(perMinute);
+  let running = false;
+
+  function prune() {
+    const t = Date.now();
+    for (const [id, job] of jobs) {
+      const finished = job.state === "done" && t - Date.parse(job.finishedAt) > retentionMs;
+      if (finished) jobs.delete(id);
+    }
+  }
+
+  async function runJob(job) {
+    job.state = "running";
+    job.startedAt = new Date().toISOString();
+    const tasks = job.rows.map((row) => async () => {
+      await budget.take();
+      row.state = "running";
+      try {
+        Object.assign(row, await run(row.input, job.options), { state: "done" });
+      } catch (e) {
+        row.state = "error";
+        row.error = e.message || "Analysis failed";
+      }
+      job.completed++;
+      if (row.state === "error") job.failed++;
+    });
+    await runWithLimit(concurrency, tasks);
+    job.state = "done";
+    job.finishedAt = new Date().toISOString();
+  }
+
+  async function drain() {
+    if (running) return;
+    running = true;
+    while (pending.length) await runJob(pending.shift());
+    running = false;
+  }
+
+  function submit(inputs, options = {}) {
+    prune();
+    const active = [...jobs.values()].filter((j) => j.state !== "done").length;
+    if (active >= maxJobs) {
+      const err = new Error("Too many jobs queued; try again later");
+      err.httpStatus = 429;
+      throw err;
+    }
+    const job = {
+      id: crypto.randomUUID(),
+      state: "queued",
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      options,
+      total: inputs.length,
+      completed: 0,
+      failed: 0,
+      rows: inputs.map((input, index) => ({ index, state: "pending", input })),
+    };
+    jobs.set(job.id, job);
+    pending.push(job);
+    drain();
+    return job;
+  }
+
+  function summary(job) {
+    const { rows: _rows, ...rest } = job;
+    return {
+      ...rest,
+      queuePosition: job.state === "queued" ? pending.indexOf(job) + 1 : 0,
+      progressPct: job.total ? Math.round((100 * job.completed) / job.total) : 100,
+    };
+  }
+
+  return { submit, get: (id) => jobs.get(id) || null, summary };
+}
+
+module.exports = { createJobQueue, createRateBudget };
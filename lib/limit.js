@@ -0,0 +1,34 @@
+/**
+ * Small concurrency helper: runs task thunks with at most `limit` in flight.
+ * Results keep task order; a task that throws yields null.
+ */
+
+async function runWithLimit(limit, tasks) {
+  const results = new Array(tasks.length);
+  let i = 0,
+    active = 0;
+  return new Promise((resolve) => {
+    const next = () => {
+      if (i === tasks.length && active === 0) return resolve(results);
+      while (active < limit && i < tasks.length) {
+        const idx = i++;
+        active++;
+        Promise.resolve()
+          .then(tasks[idx])
+          .then((val) => {
+            results[idx] = val;
+          })
+          .catch(() => {
+            results[idx] = null;
+          })
+          .finally(() => {
+            active--;
+            next();
+          });
+      }
+    };
+    next();
+  });
+}
+
+module.exports = { runWithLimit };
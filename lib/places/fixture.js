@@ -0,0 +1,132 @@
+/**
+ * Fixture (replay) and recording places providers.
+ *
+ * A fixture file is JSON: { method, params, response } (or an array of them). A request matches
+ * a fixture when every key in the fixture's `params` equals the request's value (so `params: {}`
+ * is a catch-all for that method); the most specific match wins. `fields` is ignored when
+ * matching so recordings survive changes to the requested field list.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const IGNORED_MATCH_KEYS = new Set(["fields"]);
+
+const EMPTY_RESPONSES = {
+  textSearch: { status: "ZERO_RESULTS", results: [] },
+  placeDetails: { status: "NOT_FOUND", result: null },
+  geocode: { status: "ZERO_RESULTS", results: [] },
+  reverseGeocode: { status: "ZERO_RESULTS", results: [] },
+};
+
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v)
+      .sort()
+      .filter((k) => v[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(v[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(v);
+}
+
+function fixtureKey(method, params) {
+  const hash = crypto.createHash("sha1").update(stableStringify(params || {})).digest("hex");
+  return `${method}-${hash.slice(0, 16)}`;
+}
+
+function readFixtures(dir) {
+  const out = [];
+  if (!dir || !fs.existsSync(dir)) return out;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      out.push(...readFixtures(full));
+    } else if (entry.name.endsWith(".json")) {
+      try {
+        const parsed = JSON.parse(fs.readFileSync(full, "utf8"));
+        for (const fx of Array.isArray(parsed) ? parsed : [parsed]) {
+          if (fx && fx.method && fx.response) out.push({ ...fx, params: fx.params || {}, file: full });
+        }
+      } catch (e) {
+        console.warn(`WARN: skipping unreadable fixture ${full}: ${e.message}`);
+      }
+    }
+  }
+  return out;
+}
+
+function paramsMatch(fixtureParams, params) {
+  return Object.keys(fixtureParams)
+    .filter((k) => !IGNORED_MATCH_KEYS.has(k))
+    .every((k) => stableStringify(fixtureParams[k]) === stableStringify(params?.[k]));
+}
+
+function createFixtureProvider({ dir } = {}) {
+  let fixtures = null;
+  const load = () => (fixtures ??= readFixtures(dir));
+
+  function lookup(method, params) {
+    const hits = load()
+      .filter((fx) => fx.method === method && paramsMatch(fx.params, params))
+      .sort((a, b) => Object.keys(b.params).length - Object.keys(a.params).length);
+    if (hits.length) return hits[0].response;
+    if (process.env.NODE_ENV !== "production") {
+      console.warn(`[fixture] no ${method} fixture for ${stableStringify(params)}`);
+    }
+    return EMPTY_RESPONSES[method];
+  }
+
+  return {
+    name: "fixture",
+    async textSearch(params = {}) {
+      return lookup("textSearch", params);
+    },
+    async placeDetails(params = {}) {
+      return lookup("placeDetails", params);
+    },
+    async geocode(params = {}) {
+      return lookup("geocode", params);
+    },
+    async reverseGeocode(params = {}) {
+      return lookup("reverseGeocode", params);
+    },
+    reload() {
+      fixtures = null;
+    },
+  };
+}
+
+// Wraps another provider and writes every response to `dir` for later replay.
+function createRecordingProvider({ inner, dir } = {}) {
+  if (!inner) throw new Error("Recording places provider requires an inner provider");
+  fs.mkdirSync(dir, { recursive: true });
+
+  function record(method, params, response) {
+    const file = path.join(dir, `${fixtureKey(method, params)}.json`);
+    const body = { method, params, recordedAt: new Date().toISOString(), response };
+    try {
+      fs.writeFileSync(file, JSON.stringify(body, null, 2));
+    } catch (e) {
+      console.warn(`WARN: could not record fixture ${file}: ${e.message}`);
+    }
+  }
+
+  const wrap = (method) => async (params = {}, opts) => {
+    const response = await inner[method](params, opts);
+    record(method, params, response);
+    return response;
+  };
+
+  return {
+    name: `record:${inner.name}`,
+    textSearch: wrap("textSearch"),
+    placeDetails: wrap("placeDetails"),
+    geocode: wrap("geocode"),
+    reverseGeocode: wrap("reverseGeocode"),
+  };
+}
+
+module.exports = { createFixtureProvider, createRecordingProvider, fixtureKey };
@@ -0,0 +1,62 @@
+/**
+ * Google Places provider — thin wrapper over @googlemaps/google-maps-services-js.
+ * Returns the raw Google payloads (`data`) so callers see the same shapes as before.
+ */
+
+const { Client } = require("@googlemaps/google-maps-services-js");
+
+// A fresh next_page_token is INVALID_REQUEST for a couple of seconds; retry a few times.
+const PAGE_TOKEN_RETRIES = 3;
+const PAGE_TOKEN_DELAY_MS = 2000;
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function createGoogleProvider({ apiKey } = {}) {
+  if (!apiKey) throw new Error("Google places provider requires GOOGLE_MAPS_API_KEY_SERVER");
+  const client = new Client({});
+
+  return {
+    name: "google",
+
+    async textSearch({ query, region = "us", location, radius, pageToken } = {}, { timeout = 8000 } = {}) {
+      const params = { key: apiKey, query, region };
+      if (location) params.location = location;
+      if (radius) params.radius = radius;
+      if (pageToken) params.pagetoken = pageToken;
+      for (let attempt = 0; ; attempt++) {
+        let data;
+        try {
+          data = (await client.textSearch({ params, timeout }))?.data || { results: [] };
+        } catch (e) {
+          // the client rejects non-2xx answers; Google sends INVALID_REQUEST on either
+          if (!pageToken || attempt >= PAGE_TOKEN_RETRIES) throw e;
+          if (e?.response?.data?.status !== "INVALID_REQUEST") throw e;
+        }
+        if (data && (!pageToken || data.status !== "INVALID_REQUEST")) return data;
+        if (data && attempt >= PAGE_TOKEN_RETRIES) return data;
+        await sleep(PAGE_TOKEN_DELAY_MS);
+      }
+    },
+
+    async placeDetails({ placeId, fields, reviewsSort } = {}, { timeout = 8000 } = {}) {
+      const params = { key: apiKey, place_id: placeId, fields };
+      if (reviewsSort) params.reviews_sort = reviewsSort;
+      const resp = await client.placeDetails({ params, timeout });
+      return resp?.data || { result: null };
+    },
+
+    async geocode({ address, region = "us" } = {}, { timeout = 8000 } = {}) {
+      const resp = await client.geocode({ params: { key: apiKey, address, region }, timeout });
+      return resp?.data || { results: [] };
+    },
+
+    async reverseGeocode({ lat, lng } = {}, { timeout = 8000 } = {}) {
+      const resp = await client.reverseGeocode({
+        params: { key: apiKey, latlng: { lat, lng } },
+        timeout,
+      });
+      return resp?.data || { results: [] };
+    },
+  };
+}
+
+module.exports = { createGoogleProvider };
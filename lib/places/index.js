@@ -0,0 +1,37 @@
+/**
+ * Places provider factory. Every route talks to Google through one of these:
+ *   google  — live Places API (default; needs GOOGLE_MAPS_API_KEY_SERVER)
+ *   fixture — replays saved JSON responses from PLACES_FIXTURE_DIR (no key needed)
+ *   record  — live Google calls, each response also saved to PLACES_FIXTURE_DIR
+ *
+ * Provider interface (all async, Google-shaped payloads):
+ *   textSearch({ query, region, location, radius, pageToken }, { timeout }) -> { status, results, next_page_token }
+ *   placeDetails({ placeId, fields, reviewsSort }, { timeout }) -> { status, result }
+ *   geocode({ address, region }, { timeout }) -> { status, results }
+ *   reverseGeocode({ lat, lng }, { timeout }) -> { status, results }
+ */
+
+const path = require("path");
+const { createGoogleProvider } = require("./google");
+const { createFixtureProvider, createRecordingProvider } = require("./fixture");
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, "..", "..", "fixtures", "places");
+
+function createPlacesProvider({ provider = "google", apiKey, fixtureDir } = {}) {
+  const kind = String(provider || "google").toLowerCase();
+  const dir = fixtureDir || DEFAULT_FIXTURE_DIR;
+
+  switch (kind) {
+    case "google":
+      return createGoogleProvider({ apiKey });
+    case "fixture":
+    case "replay":
+      return createFixtureProvider({ dir });
+    case "record":
+      return createRecordingProvider({ inner: createGoogleProvider({ apiKey }), dir });
+    default:
+      throw new Error(`Unknown PLACES_PROVIDER "${provider}" (expected google | fixture | record)`);
+  }
+}
+
+module.exports = { createPlacesProvider, DEFAULT_FIXTURE_DIR };
@@ -0,0 +1,132 @@
+/**
+ * Place-match confidence: how sure we are that a Text Search candidate is the business the
+ * user meant. Combines name similarity (trade words count less), service-area match against
+ * the address and website-domain match, then flags weak or too-close results as ambiguous.
+ */
+
+const { getTrade } = require("../trades");
+const { parseServiceArea } = require("../site/relevance");
+
+const WEIGHTS = { name: 0.6, area: 0.2, website: 0.2 };
+const MIN_CONFIDENCE = 0.6; // below this the best candidate is a guess
+const TIE_MARGIN = 0.1; // runner-up this close to the best one is a coin flip
+const WEBSITE_MATCH_FLOOR = 0.9; // same domain as the user's site is near-proof
+
+const LEGAL_WORDS = new Set(["the", "and", "llc", "inc", "co", "company", "corp", "ltd", "pllc"]);
+const GENERIC_WORDS = ["services", "service", "contractor", "contractors", "pros", "experts"];
+
+const tokensOf = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .replace(/&/g, " ")
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter((t) => t && !LEGAL_WORDS.has(t))
+    .map((t) => (t.length > 3 && t.endsWith("s") ? t.slice(0, -1) : t));
+
+// Trade words ("roofing", "plumber") appear in every rival's name, so they weigh a quarter.
+function genericTokens(businessType) {
+  const trade = getTrade(businessType);
+  const words = trade ? [trade.label, ...trade.synonyms, ...trade.searchPhrases] : [];
+  return new Set(tokensOf([...words, ...GENERIC_WORDS].join(" ")));
+}
+
+/** 0–1 weighted token overlap between two business names. */
+function nameScore(a, b, generic = new Set()) {
+  const A = new Set(tokensOf(a));
+  const B = new Set(tokensOf(b));
+  if (!A.size || !B.size) return 0;
+  const w = (t) => (generic.has(t) ? 0.25 : 1);
+  const sum = (set) => [...set].reduce((s, t) => s + w(t), 0);
+  const overlap = [...A].filter((t) => B.has(t)).reduce((s, t) => s + w(t), 0);
+  return overlap / Math.max(sum(A), sum(B));
+}
+
+/** 1 = city in the address, 0.5 = state only, 0 = neither, null = no area to compare. */
+function areaScore(address, serviceArea) {
+  const { city, state } = parseServiceArea(serviceArea);
+  if (!city && !state) return null;
+  const addr = ` ${String(address || "").toLowerCase().replace(/[^a-z0-9]+/g, " ")} `;
+  if (city && addr.includes(` ${city.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim()} `)) {
+    return 1;
+  }
+  if (state && addr.includes(` ${state.toLowerCase()} `)) return 0.5;
+  return 0;
+}
+
+function domainOf(url) {
+  try {
+    const u = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+    return u.hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+/** 1 = same domain, 0.8 = one is a subdomain of the other, 0 = different, null = unknown. */
+function websiteScore(candidateUrl, websiteUrl) {
+  const a = domainOf(candidateUrl || "");
+  const b = domainOf(websiteUrl || "");
+  if (!a || !b) return null;
+  if (a === b) return 1;
+  if (a.endsWith(`.${b}`) || b.endsWith(`.${a}`)) return 0.8;
+  return 0;
+}
+
+/**
+ * Score candidates ({ name, formatted_address, website? }) against what the user typed.
+ * Returns copies with { confidence (0–1), match: { name, area, website } }, best first.
+ */
+function scoreCandidates(candidates, { businessName, businessType, serviceArea, websiteUrl }) {
+  const generic = genericTokens(businessType);
+  return (candidates || [])
+    .map((c) => {
+      const match = {
+        name: businessName ? nameScore(businessName, c.name, generic) : null,
+        area: areaScore(c.formatted_address, serviceArea),
+        website: websiteUrl ? websiteScore(c.website, websiteUrl) : null,
+      };
+      let num = 0;
+      let den = 0;
+      for (const [k, w] of Object.entries(WEIGHTS)) {
+        if (match[k] === null) continue;
+        num += w * match[k];
+        den += w;
+      }
+      let confidence = den ? num / den : 0;
+      if (match.website === 1) confidence = Math.max(confidence, WEBSITE_MATCH_FLOOR);
+      const round2 = (n) => (n === null ? null : Math.round(n * 100) / 100);
+      return {
+        ...c,
+        confidence: round2(confidence),
+        match: { name: round2(match.name), area: match.area, website: match.website },
+      };
+    })
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Decide on scored candidates (best first): { ambiguous: false } or
+ * { ambiguous: true, reason: "weak_match" | "close_match" }.
+ */
+function assessMatch(scored) {
+  const [best, next] = scored;
+  if (!best) return { ambiguous: false };
+  if (best.confidence < MIN_CONFIDENCE) return { ambiguous: true, reason: "weak_match" };
+  const confirmed = best.match.website === 1;
+  if (!confirmed && next && next.confidence >= best.confidence - TIE_MARGIN) {
+    return { ambiguous: true, reason: "close_match" };
+  }
+  return { ambiguous: false };
+}
+
+module.exports = {
+  scoreCandidates,
+  assessMatch,
+  nameScore,
+  areaScore,
+  websiteScore,
+  domainOf,
+  MIN_CONFIDENCE,
+};
@@ -0,0 +1,65 @@
+/**
+ * Geo-grid rank tracking helpers: an N×N grid of search points around a center, the target's
+ * rank in each point's results and coverage stats. Pure — the searching happens in the caller.
+ */
+
+const { offsetLatLng } = require("./geo");
+
+const MAX_RANK = 20; // one page of Text Search results
+const round = (n, dp) => Math.round(n * 10 ** dp) / 10 ** dp;
+
+/** size×size points, `spacingKm` apart, row 0 = north edge, col 0 = west edge. */
+function buildGrid(center, size, spacingKm) {
+  const half = (size - 1) / 2;
+  const points = [];
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const { lat, lng } = offsetLatLng(center, (half - row) * spacingKm, (col - half) * spacingKm);
+      points.push({ row, col, lat: round(lat, 6), lng: round(lng, 6) });
+    }
+  }
+  return points;
+}
+
+/** 1-based position of `placeId` in a results list, or null when it is not in the top 20. */
+function rankIn(results, placeId) {
+  const i = (results || []).slice(0, MAX_RANK).findIndex((r) => r.place_id === placeId);
+  return i === -1 ? null : i + 1;
+}
+
+/**
+ * points: [{ rank | null, error? }] → { points, searched, found, coveragePct, top3Pct, top10Pct,
+ * averageRank (found points only), averageRankWithMisses (a miss counts as 21), best, worst }.
+ */
+function gridStats(points) {
+  const searched = points.filter((p) => !p.error);
+  const ranks = searched.filter((p) => p.rank !== null).map((p) => p.rank);
+  const pct = (n) => (searched.length ? Math.round((n / searched.length) * 100) : 0);
+  const avg = (list) =>
+    list.length ? round(list.reduce((a, b) => a + b, 0) / list.length, 1) : null;
+  return {
+    points: points.length,
+    searched: searched.length,
+    found: ranks.length,
+    coveragePct: pct(ranks.length),
+    top3Pct: pct(ranks.filter((r) => r <= 3).length),
+    top10Pct: pct(ranks.filter((r) => r <= 10).length),
+    averageRank: avg(ranks),
+    averageRankWithMisses: avg(searched.map((p) => p.rank ?? MAX_RANK + 1)),
+    best: ranks.length ? Math.min(...ranks) : null,
+    worst: ranks.length ? Math.max(...ranks) : null,
+  };
+}
+
+/**
+ * Map view that frames the grid (half a spacing of margin each side): integer Web-Mercator
+ * zoom at which the span fits `fitPx` pixels, plus the span so a client can size an overlay.
+ */
+function gridView(center, size, spacingKm, fitPx = 280) {
+  const spanKm = size * spacingKm;
+  const metersPerPxAtZ0 = 156543.03392 * Math.cos((center.lat * Math.PI) / 180);
+  const zoom = Math.floor(Math.log2((metersPerPxAtZ0 * fitPx) / (spanKm * 1000)));
+  return { spanKm, zoom: Math.max(1, Math.min(21, zoom)) };
+}
+
+module.exports = { buildGrid, rankIn, gridStats, gridView, MAX_RANK };
@@ -0,0 +1,563 @@
+/**
+ * Recommendations engine: turns an audit's actual subscores into a ranked to-do list.
+ * Final-score uplift is computed by re-running the scoring profile with the action applied, so
+ * it always follows the weights of the audit's `scoringVersion`. Actions that move a
+ * diagnostic subscore only (review activity, health, schema, relevance, NAP) carry
+ * `subscore.gain` instead.
+ */
+
+const { scoreGBP, scoreWebsite, blendScores, tierValue } = require("./scoring");
+const { getTrade } = require("./trades");
+const { parseServiceArea } = require("./site/relevance");
+const { LIMITS: REVIEW_LIMITS } = require("./reviews");
+const { analyzeHours, TYPICAL_PERIODS, ALWAYS_OPEN_PERIODS } = require("./hours");
+
+const EFFORT_RANK = { low: 0, medium: 1, high: 2 };
+const RATING_GOAL = 4.8;
+
+const HEALTH_ACTIONS = {
+  https_redirect: ["Redirect http:// to https://", "One server rule; every visit lands on HTTPS."],
+  viewport: [
+    "Add a mobile viewport tag",
+    'Add <meta name="viewport" content="width=device-width"> to every page.',
+  ],
+  canonical: ["Declare a canonical URL", "Add a rel=canonical link to each page."],
+  lang: ["Set the page language", 'Add lang="en" to the <html> tag.'],
+  img_alt: ["Add alt text to images", "Describe each photo (e.g. \"new roof in Aurora\")."],
+  page_weight: ["Slim down the homepage HTML", "Remove inline bloat and unused builder markup."],
+  resource_count: ["Cut scripts, styles and images", "Drop unused plugins; lazy-load images."],
+  render_blocking: ["Defer render-blocking scripts", "Add async/defer to scripts in <head>."],
+  compression: ["Turn on gzip/brotli compression", "A hosting or CDN setting; pages load faster."],
+  caching: ["Send caching headers", "Set Cache-Control so repeat visits load instantly."],
+  response_time: ["Speed up server response", "Upgrade hosting or add page caching / a CDN."],
+};
+
+const NAP_ACTIONS = {
+  name: "Use your exact Google Business Profile name on the site",
+  address: "Show the same address as your Google Business Profile",
+  phone: "Show the same phone number as your Google Business Profile",
+};
+const NAP_WEIGHTS = { name: 0.3, address: 0.35, phone: 0.35 };
+const NAP_CREDIT = { match: 1, partial: 0.5, mismatch: 0, missing_on_site: 0 };
+
+// Smallest value of `x` that reaches the top tier of `tiers` ([[min, pct], ...] descending).
+function topTierMin(tiers) {
+  const best = Math.max(...tiers.map(([, pct]) => pct));
+  return Math.min(...tiers.filter(([, pct]) => pct === best).map(([min]) => min));
+}
+
+// Nearest tier above the current value that actually raises the pct.
+function nextTier(tiers, x) {
+  const cur = tierValue(tiers, x);
+  const up = tiers.filter(([min, pct]) => min > x && pct > cur).sort((a, b) => a[0] - b[0]);
+  return up[0] || null;
+}
+
+function finalFor(path, gbpScore, siteScore, profile) {
+  if (path === "SITE_ONLY") return siteScore;
+  if (path === "GBP_ONLY") return gbpScore;
+  return blendScores(gbpScore, siteScore, profile);
+}
+
+// What a basic, healthy site scores — used to estimate "launch/fix the website".
+function typicalSiteFacts(profile, https = true) {
+  const tiers = profile.site.contentTiers || [[0, 0]];
+  const sorted = [...tiers].sort((a, b) => a[0] - b[0]).filter(([min]) => min > 0);
+  return {
+    reachable: true,
+    https,
+    contactOk: true,
+    contentLength: sorted[Math.floor(sorted.length / 2)]?.[0] || 0,
+    signals: { titleLen: 45, hasMetaDesc: true, telCount: 2, h1Count: 1, ctaBonus: 2 },
+  };
+}
+
+/**
+ * ctx: { profile, path, businessType, serviceArea, details, coverage, reviews, hours,
+ *        siteUrl, siteFacts, health, schema, relevance, nap }
+ * siteFacts is the scoreWebsite() input (null when the site was not evaluated); coverage is
+ * assessCoverage() output (null without a profile).
+ * Returns [{ id, title, detail, category, effort, uplift, subscore, target }], best first.
+ */
+function buildRecommendations(ctx) {
+  const { profile, path, businessType, details, coverage, siteUrl, siteFacts } = ctx;
+  const cfg = profile.gbp;
+  const out = [];
+  const add = (a) => out.push({ subscore: null, target: null, ...a });
+
+  const gbpOf = (d, cov = coverage) => scoreGBP(d, businessType, profile, cov).gbpScore;
+  const siteOf = (f) => (f ? scoreWebsite(f, profile).siteScore : 0);
+  const baseGbp = gbpOf(details);
+  const baseSite = siteOf(siteFacts);
+  const baseFinal = finalFor(path, baseGbp, baseSite, profile);
+  const gain = (final) => Math.max(0, Math.round(final - baseFinal));
+  const gbpGain = (patch, cov) =>
+    gain(finalFor(path, gbpOf({ ...details, ...patch }, cov), baseSite, profile));
+  const siteGain = (patch) => {
+    const facts = { ...siteFacts, ...patch, signals: { ...siteFacts.signals, ...patch.signals } };
+    return gain(finalFor(path, baseGbp, siteOf(facts), profile));
+  };
+  const trade = getTrade(businessType);
+  const photoGoal = cfg.photos.perPhoto
+    ? Math.ceil(100 / cfg.photos.perPhoto)
+    : topTierMin(cfg.photos.tiers);
+
+  // ---- Google Business Profile ----
+  if (!details) {
+    const est = gbpOf({
+      rating: 5,
+      user_ratings_total: 5,
+      types: trade ? trade.googleTypes : [],
+      photos: new Array(photoGoal).fill(0),
+      opening_hours: { open_now: true, periods: TYPICAL_PERIODS },
+    });
+    const reachable = !!siteFacts?.reachable;
+    add({
+      id: "gbp_claim",
+      title: "Create and verify a Google Business Profile",
+      detail: "Without one you cannot show in the map pack; verify it, then fill every field.",
+      category: "profile",
+      effort: "medium",
+      uplift: gain(reachable ? blendScores(est, baseSite, profile) : est),
+    });
+  } else if (path !== "SITE_ONLY") {
+    const reviews = details.user_ratings_total || 0;
+    const rating = details.rating || 0;
+    const photos = Array.isArray(details.photos) ? details.photos.length : 0;
+
+    const tier = nextTier(cfg.volumeTiers, reviews);
+    if (tier) {
+      const needed = tier[0] - reviews;
+      add({
+        id: "reviews_volume",
+        title: `Reach ${tier[0]} Google reviews`,
+        detail:
+          `${needed} more review${needed === 1 ? "" : "s"} (you have ${reviews}). ` +
+          "Ask after every finished job and reply to each one.",
+        category: "reviews",
+        effort: needed <= 10 ? "medium" : "high",
+        uplift: gbpGain({ user_ratings_total: tier[0] }),
+        target: { metric: "reviews", current: reviews, goal: tier[0] },
+      });
+    }
+
+    if (reviews > 0 && rating > 0 && rating < RATING_GOAL) {
+      const fives = Math.ceil((reviews * (RATING_GOAL - rating)) / (5 - RATING_GOAL));
+      add({
+        id: "reviews_rating",
+        title: `Lift your rating to ${RATING_GOAL} stars`,
+        detail: `About ${fives} new 5-star reviews would move ${rating} to ${RATING_GOAL}.`,
+        category: "reviews",
+        effort: "high",
+        uplift: gbpGain({ rating: RATING_GOAL }),
+        target: { metric: "rating", current: rating, goal: RATING_GOAL },
+      });
+    }
+
+    if (photos < photoGoal) {
+      const needed = photoGoal - photos;
+      add({
+        id: "gbp_photos",
+        title: `Add ${needed} photo${needed === 1 ? "" : "s"} to your profile`,
+        detail: "Recent job photos, team and trucks; aim for a few new ones every month.",
+        category: "profile",
+        effort: "low",
+        uplift: gbpGain({ photos: new Array(photoGoal).fill(0) }),
+        target: { metric: "photos", current: photos, goal: photoGoal },
+      });
+    }
+
+    const { hoursPct, categoryPct } = scoreGBP(details, businessType, profile, coverage);
+    if (cfg.hours.model === "weekly") {
+      const hours = ctx.hours || analyzeHours(details, { businessType });
+      addWeeklyHoursActions(hours, details, trade, add, gbpGain);
+    } else if (hoursPct < cfg.hours.present) {
+      add({
+        id: "gbp_hours",
+        title: "Publish your business hours",
+        detail: "Set regular hours (and holiday hours) on the profile.",
+        category: "profile",
+        effort: "low",
+        uplift: gbpGain({ opening_hours: { open_now: true, periods: TYPICAL_PERIODS } }),
+      });
+    }
+    if (trade && categoryPct < cfg.category.match) {
+      add({
+        id: "gbp_category",
+        title: `Add "${trade.label}" as your Google category`,
+        detail: "Make the trade you want to rank for the primary category.",
+        category: "profile",
+        effort: "low",
+        uplift: gbpGain({ types: [...(details.types || []), ...trade.googleTypes] }),
+      });
+    }
+    if (coverage && ["nearby", "distant"].includes(coverage.status)) {
+      addCoverageAction(coverage, add, gbpGain({}, { ...coverage, status: "inside" }));
+    }
+  }
+
+  // ---- Website (scored) ----
+  if (!siteUrl || !siteFacts?.reachable) {
+    const est = siteOf(typicalSiteFacts(profile, !siteUrl || /^https:/i.test(siteUrl)));
+    add({
+      id: siteUrl ? "site_fix" : "site_launch",
+      title: siteUrl ? "Get your website back online" : "Launch a website",
+      detail: siteUrl
+        ? "The site did not respond to our checks; fix hosting, DNS or SSL."
+        : "A simple site with services, service areas and a contact page.",
+      category: "website",
+      effort: siteUrl ? "medium" : "high",
+      uplift: gain(details ? blendScores(baseGbp, est, profile) : est),
+    });
+  } else {
+    const s = siteFacts.signals || {};
+    const onpage = profile.site.model === "onpage";
+
+    if (!siteFacts.https) {
+      add({
+        id: "site_https",
+        title: "Move the site to HTTPS",
+        detail: "Install a free TLS certificate and redirect http:// to https://.",
+        category: "technical",
+        effort: "medium",
+        uplift: siteGain({ https: true }),
+      });
+    }
+    if (profile.site.weights?.contact && !siteFacts.contactOk) {
+      add({
+        id: "site_contact",
+        title: "Add a /contact page",
+        detail: "Phone, service area and a short form on its own page.",
+        category: "website",
+        effort: "low",
+        uplift: siteGain({ contactOk: true }),
+      });
+    }
+    const contentTier = profile.site.contentTiers
+      ? nextTier(profile.site.contentTiers, siteFacts.contentLength || 0)
+      : null;
+    if (contentTier) {
+      const kb = (b) => Math.max(1, Math.round(b / 1024));
+      add({
+        id: "site_content",
+        title: "Add more service detail to your homepage",
+        detail:
+          `Homepage is about ${kb(siteFacts.contentLength || 0)} KB; aim for ` +
+          `${kb(contentTier[0])} KB+ of real content (services, areas served, FAQs).`,
+        category: "content",
+        effort: "medium",
+        uplift: siteGain({ contentLength: contentTier[0] }),
+      });
+    }
+    if ((s.titleLen || 0) < 30) {
+      add({
+        id: "site_title",
+        title: "Write a descriptive title tag",
+        detail: "30–60 characters with your trade and city, e.g. \"Roofing in Denver | Acme\".",
+        category: "content",
+        effort: "low",
+        uplift: onpage ? siteGain({ signals: { titleLen: 45 } }) : 0,
+      });
+    }
+    if (!s.hasMetaDesc) {
+      add({
+        id: "site_meta_description",
+        title: "Add a meta description",
+        detail: "One or two sentences on what you do and where; it becomes your search snippet.",
+        category: "content",
+        effort: "low",
+        uplift: onpage ? siteGain({ signals: { hasMetaDesc: true } }) : 0,
+      });
+    }
+    if (!s.h1Count) {
+      add({
+        id: "site_h1",
+        title: "Add an H1 heading",
+        detail: "One clear headline naming your service and city.",
+        category: "content",
+        effort: "low",
+        uplift: onpage ? siteGain({ signals: { h1Count: 1 } }) : 0,
+      });
+    }
+    if ((s.telCount || 0) < 2) {
+      add({
+        id: "site_click_to_call",
+        title: "Add click-to-call phone links",
+        detail: "A tel: link in the header and footer of every page.",
+        category: "website",
+        effort: "low",
+        uplift: onpage ? siteGain({ signals: { telCount: 2, ctaBonus: 2 } }) : 0,
+      });
+    }
+  }
+
+  // ---- Diagnostic subscores (do not move the final score directly) ----
+  addReviewActions(ctx.reviews, add);
+  addHealthActions(ctx.health, add);
+  addSchemaActions(ctx.schema, add, !!coverage?.sab);
+  addRelevanceActions(ctx.relevance, ctx.serviceArea, add);
+  addNapActions(ctx.nap, add);
+
+  return out.sort(
+    (a, b) =>
+      b.uplift - a.uplift ||
+      (b.subscore?.gain || 0) - (a.subscore?.gain || 0) ||
+      EFFORT_RANK[a.effort] - EFFORT_RANK[b.effort]
+  );
+}
+
+function addReviewActions(rev, add) {
+  if (!rev || rev.reviewsScore === null) return;
+  const possible = rev.checks.filter((c) => c.pass !== null).reduce((sum, c) => sum + c.weight, 0);
+  const failed = {};
+  for (const c of rev.checks) if (c.pass === false) failed[c.id] = c;
+  const subscore = (id) => ({
+    name: "reviewsScore",
+    gain: Math.round((100 * failed[id].weight) / possible),
+  });
+
+  if (failed.velocity) {
+    const pace = rev.velocity.perMonth;
+    add({
+      id: "reviews_velocity",
+      title: "Get 5–10 new Google reviews a month",
+      detail:
+        (pace === null ? "No recent reviews to measure. " : `About ${pace} a month lately. `) +
+        "Text a review link the day each job is finished.",
+      category: "reviews",
+      effort: "medium",
+      uplift: 0,
+      subscore: subscore("velocity"),
+      target: { metric: "reviewsPerMonth", current: pace, goal: REVIEW_LIMITS.velocityGoal },
+    });
+  }
+  if (failed.recent) {
+    add({
+      id: "reviews_recent",
+      title: "Ask this week's customers for a review",
+      detail:
+        rev.daysSinceLast === null
+          ? "The profile has no reviews yet."
+          : `The newest review is ${rev.daysSinceLast} days old; fresh ones show you're active.`,
+      category: "reviews",
+      effort: "low",
+      uplift: 0,
+      subscore: subscore("recent"),
+    });
+  }
+  if (failed.responses) {
+    add({
+      id: "reviews_replies",
+      title: "Reply to every review",
+      detail:
+        `You replied to ${Math.round(rev.ownerResponse.rate * 100)}% of recent reviews; ` +
+        "answer each within a few days, the critical ones first.",
+      category: "reviews",
+      effort: "low",
+      uplift: 0,
+      subscore: subscore("responses"),
+    });
+  }
+  if (failed.complaints) {
+    const top = rev.themes.negative.find((t) => t.recurring);
+    add({
+      id: "reviews_complaints",
+      title: `Fix what reviewers keep mentioning: ${top.label.toLowerCase()}`,
+      detail: `${top.mentions} recent low-star reviews raise it; fix the cause and reply publicly.`,
+      category: "reviews",
+      effort: "medium",
+      uplift: 0,
+      subscore: subscore("complaints"),
+    });
+  }
+}
+
+function addHealthActions(health, add) {
+  if (!health) return;
+  const evaluated = health.checks.filter((c) => c.pass !== null);
+  const possible = evaluated.reduce((sum, c) => sum + c.weight, 0);
+  if (!possible) return;
+  for (const c of evaluated) {
+    if (c.pass || c.id === "https" || !HEALTH_ACTIONS[c.id]) continue;
+    const [title, detail] = HEALTH_ACTIONS[c.id];
+    add({
+      id: `health_${c.id}`,
+      title,
+      detail,
+      category: "technical",
+      effort: ["page_weight", "resource_count", "response_time"].includes(c.id) ? "medium" : "low",
+      uplift: 0,
+      subscore: { name: "healthScore", gain: Math.round((100 * c.weight) / possible) },
+    });
+  }
+}
+
+// Hours actions under the weekly-hours model; each uplift re-scores the schedule with the fix.
+function addWeeklyHoursActions(h, details, trade, add, gbpGain) {
+  const withPeriods = (periods) => gbpGain({ opening_hours: { periods } });
+  if (!h.listed) {
+    add({
+      id: "gbp_hours",
+      title: "Publish your business hours",
+      detail:
+        h.source === "open_now_only"
+          ? "Google has no weekly schedule for the profile; set hours for every day you work."
+          : "Set regular hours (and holiday hours) on the profile.",
+      category: "profile",
+      effort: "low",
+      uplift: withPeriods(TYPICAL_PERIODS),
+    });
+    return;
+  }
+  // weekday_text-only schedules have no periods to extend: start from a typical week
+  const current = details.opening_hours?.periods?.length
+    ? details.opening_hours.periods
+    : TYPICAL_PERIODS.filter((p) => p.open.day >= 1 && p.open.day <= 5);
+  const openDays = new Set(current.map((p) => p.open?.day));
+  if (h.weekdaysOpen < 5) {
+    const missing = TYPICAL_PERIODS.filter((p) => p.open.day <= 5 && !openDays.has(p.open.day));
+    add({
+      id: "gbp_hours_weekdays",
+      title: "List hours for every weekday",
+      detail: `The profile shows ${h.weekdaysOpen} weekday${h.weekdaysOpen === 1 ? "" : "s"}; ` +
+        "days without hours read as closed.",
+      category: "profile",
+      effort: "low",
+      uplift: withPeriods([...current, ...missing]),
+    });
+  }
+  if (!h.weekend.saturday && !h.weekend.sunday) {
+    add({
+      id: "gbp_hours_weekend",
+      title: "Add Saturday hours",
+      detail: "Even a short window (e.g. 9–1) shows you as open to weekend searchers.",
+      category: "profile",
+      effort: "low",
+      uplift: withPeriods([...current, ...TYPICAL_PERIODS.filter((p) => p.open.day === 6)]),
+    });
+  }
+  if (h.emergency.expected && !h.emergency.offered) {
+    add({
+      id: "gbp_hours_emergency",
+      title: "List 24/7 emergency service",
+      detail:
+        `${trade.label} customers search at night and on weekends. If you take emergency ` +
+        'calls, set the hours to "Open 24 hours" and say so in the description.',
+      category: "profile",
+      effort: "medium",
+      uplift: withPeriods(ALWAYS_OPEN_PERIODS),
+    });
+  }
+}
+
+function addCoverageAction(cov, add, uplift) {
+  const where = cov.serviceArea || "your service area";
+  const km = cov.distanceKm === null ? "" : ` (${cov.distanceKm} km from its center)`;
+  add({
+    id: "coverage_distance",
+    title: cov.sab
+      ? `Declare ${where} as a service area and show work there`
+      : `Win nearer towns first, or open a location in ${where}`,
+    detail: cov.sab
+      ? `Google ranks service-area businesses from their hidden base address${km}. List ` +
+        `${where} in your service areas and post jobs, photos and reviews from there; only a ` +
+        "verified base closer in removes the distance gap."
+      : `Storefronts rank from their address${km}. Target the towns around you, and verify a ` +
+        `staffed location in ${where} to compete there.`,
+    category: "local",
+    effort: "high",
+    uplift,
+    target: { metric: "distanceKm", current: cov.distanceKm, goal: cov.radiusKm / 2 },
+  });
+}
+
+function addSchemaActions(schema, add, sab = false) {
+  if (!schema || schema.schemaScore >= 100) return;
+  const p = schema.primary;
+  const missing = p ? [...p.missingRequired, ...p.missingRecommended] : [];
+  if (p && p.isLocalBusiness && !missing.length) return;
+  add({
+    id: "schema_local_business",
+    title: p?.isLocalBusiness
+      ? `Complete your LocalBusiness markup (${missing.slice(0, 4).join(", ")})`
+      : "Add LocalBusiness structured data",
+    detail: sab
+      ? "JSON-LD with name, phone, hours, areaServed and reviews (no street address for a " +
+        "service-area business)."
+      : "JSON-LD with name, address, phone, hours, areaServed and reviews.",
+    category: "technical",
+    effort: "low",
+    uplift: 0,
+    subscore: { name: "schemaScore", gain: 100 - schema.schemaScore },
+  });
+}
+
+function addRelevanceActions(rel, serviceArea, add) {
+  if (!rel) return;
+  const families = [rel.service.score, rel.location.score].filter((x) => x !== null).length;
+  if (!families) return;
+  const city = rel.area?.city || parseServiceArea(serviceArea).city;
+  const term = rel.terms.service[0] || "";
+  const perFamily = (pts) => Math.round(pts / families);
+
+  if (rel.service.score !== null && !rel.servicePages.length) {
+    add({
+      id: "relevance_service_pages",
+      title: "Create a page for each core service",
+      detail: `e.g. /${term.replace(/\s+/g, "-") || "services"} with its own title, H1 and photos.`,
+      category: "local",
+      effort: "medium",
+      uplift: 0,
+      subscore: { name: "relevanceScore", gain: perFamily(20) },
+    });
+  }
+  if (rel.location.score !== null && !rel.cityPages.length && city) {
+    add({
+      id: "relevance_city_page",
+      title: `Create a ${city} service-area page`,
+      detail: `Jobs, photos and reviews from ${city}; link it from the homepage.`,
+      category: "local",
+      effort: "medium",
+      uplift: 0,
+      subscore: { name: "relevanceScore", gain: perFamily(20) },
+    });
+  }
+  if (families === 2 && !rel.combinedInTitle && term && city) {
+    const titleGain = (rel.service.zones.title ? 0 : 20) + (rel.location.zones.title ? 0 : 20);
+    add({
+      id: "relevance_title",
+      title: `Put "${term} ${city}" in your homepage title`,
+      detail: "Trade + city in the title is the strongest on-page local signal.",
+      category: "local",
+      effort: "low",
+      uplift: 0,
+      subscore: { name: "relevanceScore", gain: perFamily(titleGain) },
+    });
+  }
+}
+
+function addNapActions(nap, add) {
+  if (!nap || nap.consistencyScore === null || nap.consistencyScore >= 100) return;
+  const den = Object.entries(NAP_WEIGHTS)
+    .filter(([k]) => nap.fields[k].status !== "missing_on_gbp")
+    .reduce((sum, [, w]) => sum + w, 0);
+  for (const [k, f] of Object.entries(nap.fields)) {
+    if (f.status === "match" || f.status === "missing_on_gbp") continue;
+    add({
+      id: `nap_${k}`,
+      title: NAP_ACTIONS[k],
+      detail: f.site
+        ? `Google shows "${f.gbp}", the site shows "${f.site}".`
+        : `Google shows "${f.gbp}"; the site never mentions it.`,
+      category: "local",
+      effort: "low",
+      uplift: 0,
+      subscore: {
+        name: "napScore",
+        gain: Math.round((100 * NAP_WEIGHTS[k] * (1 - NAP_CREDIT[f.status])) / den),
+      },
+    });
+  }
+}
+
+module.exports = { buildRecommendations };
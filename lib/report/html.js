@@ -0,0 +1,155 @@
+/**
+ * Standalone, printable HTML report (inline CSS, no scripts or external assets).
+ */
+
+const esc = (v) =>
+  String(v ?? "").replace(
+    /[&<>"']/g,
+    (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]
+  );
+
+const scoreColor = (v) => (v >= 80 ? "#15803d" : v >= 60 ? "#b45309" : "#b91c1c");
+const fmtDate = (iso) => (iso ? new Date(iso).toISOString().slice(0, 10) : "");
+const CEILING_NOTE = "Ceiling in effect — fix the gaps below to unlock higher scores.";
+const safeColor = (c) => (/^#[0-9a-f]{3,8}$/i.test(String(c || "")) ? c : "#31d01b");
+
+function bars(rows) {
+  return rows
+    .map((r) => {
+      const v = r.value ?? 0;
+      const shown = r.value === null ? "n/a" : `${r.value}`;
+      const fill = `<div style="width:${v}%;background:${scoreColor(v)}"></div>`;
+      return (
+        `<tr><td>${esc(r.label)}</td>` +
+        `<td class="barcell"><div class="bar">${fill}</div></td>` +
+        `<td class="num">${shown}</td></tr>`
+      );
+    })
+    .join("");
+}
+
+const list = (items, empty) =>
+  items.length
+    ? `<ul>${items.map((i) => `<li>${esc(i)}</li>`).join("")}</ul>`
+    : `<p class="muted">${esc(empty)}</p>`;
+
+function competitorsTable(comp) {
+  if (!comp || !comp.items.length) return "";
+  const rows = comp.items
+    .map(
+      (c) =>
+        `<tr><td class="num">${c.rank}</td><td>${esc(c.name)}</td><td class="num">${esc(
+          c.rating
+        )}</td><td class="num">${esc(c.reviews)}</td><td class="num">${esc(c.gbpScore)}</td></tr>`
+    )
+    .join("");
+  const head = ["#", "Business", "Rating", "Reviews", "GBP score"].map((h) => `<th>${h}</th>`);
+  return `<section><h2>Top competitors${comp.area ? ` in ${esc(comp.area)}` : ""}</h2>
+<table class="grid"><thead><tr>${head.join("")}</tr></thead><tbody>${rows}</tbody></table>
+</section>`;
+}
+
+function actionsList(actions) {
+  if (!actions.length) return "";
+  const items = actions
+    .map((a) => {
+      const detail = a.detail ? ` — ${esc(a.detail)}` : "";
+      const pts = a.uplift > 0 ? ` <span class="pts">+${a.uplift} pts</span>` : "";
+      const tags = [a.effort && `${a.effort} effort`, a.category].filter(Boolean).map(esc);
+      return (
+        `<li><strong>${esc(a.title)}</strong>${pts}${detail}` +
+        `${tags.length ? ` <span class="muted">(${tags.join(", ")})</span>` : ""}</li>`
+      );
+    })
+    .join("");
+  return `<section><h2>Recommended actions</h2><ol>${items}</ol></section>`;
+}
+
+function renderReportHtml(m) {
+  const brand = esc(m.brand?.name || "Elev8Trades");
+  const color = safeColor(m.brand?.color);
+  const b = m.business;
+  const sub = [b.trade, b.area].filter(Boolean).map(esc).join(" · ");
+  const score = m.summary.finalScore;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${esc(b.name)} — Local Visibility Report</title>
+<style>
+  @page { size: letter; margin: 16mm; }
+  body {
+    font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;
+    color: #111827; margin: 0 auto; max-width: 820px; padding: 24px; line-height: 1.45;
+  }
+  header {
+    display: flex; justify-content: space-between; align-items: center;
+    border-bottom: 4px solid ${color}; padding-bottom: 10px;
+  }
+  header .brand { font-weight: 700; font-size: 20px; color: ${color}; }
+  h1 { margin: 18px 0 2px; font-size: 24px; }
+  h2 { font-size: 17px; margin: 22px 0 8px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+  .muted, .small { color: #6b7280; font-size: 12px; }
+  .summary { display: flex; gap: 20px; align-items: center; margin-top: 14px; }
+  .score { font-size: 44px; font-weight: 800; }
+  .cols { display: grid; grid-template-columns: 1fr 1fr; gap: 20px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  td, th { padding: 4px 6px; text-align: left; }
+  .grid th, .grid td { border-bottom: 1px solid #eee; }
+  .num { text-align: right; white-space: nowrap; }
+  .barcell { width: 45%; }
+  .bar { height: 8px; background: #e5e7eb; border-radius: 8px; overflow: hidden; }
+  .bar > div { height: 100%; }
+  ul, ol { padding-left: 20px; margin: 6px 0; font-size: 13px; }
+  .pts { color: #15803d; font-weight: 700; white-space: nowrap; }
+  footer { margin-top: 28px; border-top: 1px solid #e5e7eb; padding-top: 8px; }
+  section { break-inside: avoid; }
+  @media print { body { padding: 0; } }
+</style>
+</head>
+<body>
+<header>
+  <div class="brand">${brand}</div>
+  <div class="small">Local Visibility Report · ${fmtDate(m.auditedAt)}</div>
+</header>
+<h1>${esc(b.name)}</h1>
+<div class="small">${sub}${b.website ? ` · ${esc(b.website)}` : ""}</div>
+
+<div class="summary">
+  <div class="score" style="color:${scoreColor(score)}">
+    ${score}<span class="small">/100</span>
+  </div>
+  <div>
+    <div><strong>${esc(m.summary.status)}</strong></div>
+    <div class="small">${esc(m.summary.rationale)}</div>
+    ${m.summary.ceiling ? `<div class="small">${CEILING_NOTE}</div>` : ""}
+  </div>
+</div>
+
+<section><h2>Score breakdown</h2>
+<div class="cols">
+  <table>${bars(m.breakdown.gbp)}</table>
+  <table>${bars(m.breakdown.site)}</table>
+</div></section>
+
+<div class="cols">
+  <section><h2>Google Business Profile</h2>${list(m.gbpFindings, "No GBP gaps found.")}</section>
+  <section><h2>Website</h2>${list(m.siteFindings, "No website gaps found.")}</section>
+</div>
+
+${competitorsTable(m.competitors)}
+${actionsList(m.actions)}
+
+<footer class="small">
+  Prepared by ${brand}${m.brand?.contact ? ` · ${esc(m.brand.contact)}` : ""} ·
+  Audit ${esc(m.auditId)} · scoring ${esc(m.summary.scoringVersion)} ·
+  generated ${fmtDate(m.generatedAt)}
+</footer>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderReportHtml };
@@ -0,0 +1,18 @@
+/**
+ * Branded audit reports (HTML + PDF) built from stored audits.
+ * Env: REPORT_BRAND_NAME, REPORT_BRAND_COLOR (#rrggbb), REPORT_BRAND_CONTACT.
+ */
+
+const { buildReportModel } = require("./model");
+const { renderReportHtml } = require("./html");
+const { renderReportPdf } = require("./pdf");
+
+function reportBrand() {
+  return {
+    name: process.env.REPORT_BRAND_NAME || "Elev8Trades",
+    color: process.env.REPORT_BRAND_COLOR || "#31d01b",
+    contact: process.env.REPORT_BRAND_CONTACT || "",
+  };
+}
+
+module.exports = { buildReportModel, renderReportHtml, renderReportPdf, reportBrand };
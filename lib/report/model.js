@@ -0,0 +1,174 @@
+/**
+ * Report model: one stored audit (+ optional competitor snapshot) flattened into the sections
+ * every renderer prints — score summary, breakdown, GBP/website findings, competitors, actions.
+ */
+
+const { getTrade } = require("../trades");
+
+const SITE_COMPONENT_LABELS = {
+  reachablePct: "Site reachable",
+  httpsPct: "HTTPS",
+  contactPct: "Contact page",
+  contentPct: "Content depth",
+};
+
+const row = (label, value) => ({ label, value: typeof value === "number" ? value : null });
+
+function breakdown(audit) {
+  const s = audit.scores || {};
+  const gbp = [
+    row("GBP score", s.gbpScore),
+    row("Rating", s.ratingPct),
+    row("Review volume", s.volumePct),
+    row("Category match", s.categoryPct),
+    row("Photos", s.photosPct),
+    row("Hours", s.hoursPct),
+  ];
+  if (typeof s.reviewsScore === "number") gbp.push(row("Review activity", s.reviewsScore));
+  const site = [row("Website score", s.siteScore)];
+  for (const [k, label] of Object.entries(SITE_COMPONENT_LABELS)) {
+    if (k in s) site.push(row(label, s[k]));
+  }
+  site.push(
+    row("Website health", s.healthScore),
+    row("Structured data", s.schemaScore),
+    row("Local relevance", s.relevanceScore),
+    row("NAP consistency", s.napScore)
+  );
+  return { gbp, site: site.filter((r) => r.value !== null || r.label === "Website score") };
+}
+
+function gbpFindings(audit) {
+  const s = audit.scores || {};
+  if (!audit.placeId) return ["No Google Business Profile was found or selected."];
+  const out = [];
+  // No reviews means no rating at all, not a rating of 0: only the volume finding applies.
+  if (s.reviewCount !== 0 && s.rating > 0 && s.rating < 4.5) {
+    out.push(`Average rating is ${s.rating} (aim for 4.5+).`);
+  }
+  if (s.reviewCount === 0) {
+    out.push("No Google reviews yet; competitors with reviews rank higher.");
+  } else if (s.volumePct !== null && s.volumePct < 80) {
+    out.push(`Only ${s.reviewCount ?? 0} Google reviews; competitors with more rank higher.`);
+  }
+  if (s.categoryPct !== null && s.categoryPct < 100) {
+    out.push("Primary category does not clearly match the trade.");
+  }
+  if (s.photosPct !== null && s.photosPct < 100) out.push("Profile needs more photos.");
+  const hrs = audit.hours;
+  if (hrs) out.push(...hoursFindings(hrs));
+  else if (s.hoursPct !== null && s.hoursPct < 100) out.push("Business hours are missing.");
+  const rev = audit.reviews;
+  if (rev?.daysSinceLast > 30) out.push(`Newest Google review is ${rev.daysSinceLast} days old.`);
+  for (const t of (rev?.themes?.negative || []).filter((x) => x.recurring)) {
+    out.push(`Recurring complaint in recent reviews: ${t.label.toLowerCase()}.`);
+  }
+  const cov = audit.coverage;
+  if (cov && cov.covers === false) {
+    const kind = cov.sab ? "Service-area base" : "Business location";
+    out.push(
+      `${kind} is ${cov.distanceKm} km from ${cov.serviceArea} (outside a ${cov.radiusKm} km ` +
+        "radius); Google rarely shows it there."
+    );
+  }
+  return out;
+}
+
+// One line per analyzeHours() flag.
+function hoursFindings(h) {
+  const out = [];
+  for (const flag of h.flags || []) {
+    if (flag === "missing_hours") out.push("Business hours are missing.");
+    if (flag === "no_weekly_schedule") out.push("Profile has no weekly hours schedule.");
+    if (flag === "closed_weekends") out.push("Profile shows the business closed all weekend.");
+    if (flag === "short_week") {
+      out.push(`Hours are listed for only ${h.weekdaysOpen} of 5 weekdays.`);
+    }
+    if (flag === "no_emergency_hours") {
+      out.push("No 24/7 or emergency hours listed, which customers in this trade search for.");
+    }
+  }
+  return out;
+}
+
+function siteFindings(audit) {
+  const site = audit.site || {};
+  if (!site.siteUrl) return ["No website on record."];
+  if (!site.reachable) {
+    return [`Website could not be reached (${site.unreachableReason || "unreachable"}).`];
+  }
+  const out = [];
+  if (!site.health && !/^https:/i.test(site.siteUrl)) {
+    out.push("Website is not served over HTTPS.");
+  }
+  for (const c of site.health?.checks || []) if (c.pass === false) out.push(`${c.label}: failed.`);
+  for (const f of (site.schema?.findings || []).filter((x) => x.level === "error").slice(0, 3)) {
+    out.push(f.message);
+  }
+  out.push(...(site.relevance?.findings || []));
+  for (const issue of audit.nap?.issues || []) out.push(`NAP ${issue}.`);
+  return out;
+}
+
+// The engine's ranked to-do list, trimmed for print.
+function actions(audit, limit = 10) {
+  return (audit.recommendations || []).slice(0, limit).map((r) => ({
+    title: r.title,
+    detail: r.detail,
+    uplift: r.uplift,
+    effort: r.effort,
+    category: r.category,
+  }));
+}
+
+function competitorRows(snapshot) {
+  if (!snapshot?.ok || !Array.isArray(snapshot.items)) return null;
+  return {
+    area: snapshot.area,
+    tradeLabel: snapshot.tradeLabel,
+    items: snapshot.items.map((c) => ({
+      rank: c.rank,
+      name: c.name,
+      rating: c.rating,
+      reviews: c.reviews,
+      gbpScore: c.gbpScore,
+      website: c.website || "",
+    })),
+  };
+}
+
+/**
+ * audit: stored audit record; competitors: competitive-snapshot payload (optional);
+ * brand: { name, color, contact }.
+ */
+function buildReportModel(audit, { competitors = null, brand = {} } = {}) {
+  const inputs = audit.inputs || {};
+  const trade = getTrade(inputs.businessType);
+  return {
+    brand,
+    generatedAt: new Date().toISOString(),
+    auditId: audit.id,
+    auditedAt: audit.createdAt,
+    business: {
+      name: inputs.businessName || audit.site?.siteUrl || "Your business",
+      trade: trade?.label || inputs.businessType || "",
+      area: inputs.serviceArea || "",
+      website: audit.site?.siteUrl || "",
+      placeId: audit.placeId || "",
+    },
+    summary: {
+      finalScore: audit.scores?.finalScore ?? 0,
+      status: audit.status,
+      rationale: audit.rationale || "",
+      ceiling: !!audit.ceiling,
+      scoringVersion: audit.scoringVersion,
+    },
+    breakdown: breakdown(audit),
+    gbpFindings: gbpFindings(audit),
+    siteFindings: siteFindings(audit),
+    competitors: competitorRows(competitors),
+    actions: actions(audit),
+  };
+}
+
+module.exports = { buildReportModel };
@@ -0,0 +1,196 @@
+/**
+ * PDF rendering of the report model with pdfkit (in-process, standard Helvetica fonts).
+ */
+
+const PDFDocument = require("pdfkit");
+
+const scoreColor = (v) => (v >= 80 ? "#15803d" : v >= 60 ? "#b45309" : "#b91c1c");
+const safeColor = (c) => (/^#[0-9a-f]{6}$/i.test(String(c || "")) ? c : "#31d01b");
+const fmtDate = (iso) => (iso ? new Date(iso).toISOString().slice(0, 10) : "");
+
+// Standard PDF fonts only cover WinAnsi; map the few symbols our copy uses, drop the rest.
+const WIN_ANSI_EXTRA = "€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ";
+function pdfText(v) {
+  return String(v ?? "")
+    .replace(/≥/g, ">=")
+    .replace(/≤/g, "<=")
+    .replace(/→/g, "->")
+    .replace(/[^\x20-\x7e\xa0-\xff\n]/g, (c) => (WIN_ANSI_EXTRA.includes(c) ? c : ""));
+}
+
+function renderReportPdf(m) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "LETTER",
+      margin: 48,
+      bufferPages: true,
+      info: {
+        Title: pdfText(`${m.business.name} — Local Visibility Report`),
+        Author: pdfText(m.brand?.name || "Elev8Trades"),
+      },
+    });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const brandColor = safeColor(m.brand?.color);
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+    const ensure = (h) => {
+      if (doc.y + h > bottom()) doc.addPage();
+    };
+    const heading = (t) => {
+      ensure(40);
+      doc.moveDown(0.8).font("Helvetica-Bold").fontSize(13).fillColor("#111827");
+      doc.text(pdfText(t), left);
+      const y = doc.y + 2;
+      doc.moveTo(left, y).lineTo(left + width, y).lineWidth(0.5).strokeColor("#e5e7eb").stroke();
+      doc.moveDown(0.5);
+    };
+    const body = () => doc.font("Helvetica").fontSize(10).fillColor("#111827");
+    const muted = () => doc.font("Helvetica").fontSize(9).fillColor("#6b7280");
+
+    // Header
+    doc.font("Helvetica-Bold").fontSize(18).fillColor(brandColor);
+    doc.text(pdfText(m.brand?.name || "Elev8Trades"), left, 40);
+    muted().text(`Local Visibility Report · ${fmtDate(m.auditedAt)}`, left, 46, {
+      width,
+      align: "right",
+    });
+    doc.rect(left, 66, width, 3).fill(brandColor);
+    doc.y = 80;
+
+    // Business + score
+    doc.font("Helvetica-Bold").fontSize(20).fillColor("#111827").text(pdfText(m.business.name));
+    const sub = [m.business.trade, m.business.area, m.business.website].filter(Boolean);
+    if (sub.length) muted().text(pdfText(sub.join(" · ")));
+    doc.moveDown(0.6);
+    const scoreY = doc.y;
+    const score = m.summary.finalScore;
+    doc.font("Helvetica-Bold").fontSize(40).fillColor(scoreColor(score));
+    doc.text(`${score}`, left, scoreY);
+    const scoreW = doc.widthOfString(`${score}`);
+    muted().text("/100", left + 4 + scoreW, scoreY + 26);
+    const textX = left + 110;
+    doc.font("Helvetica-Bold").fontSize(11).fillColor("#111827");
+    doc.text(pdfText(m.summary.status), textX, scoreY + 4, { width: width - 110 });
+    muted().text(pdfText(m.summary.rationale), { width: width - 110 });
+    if (m.summary.ceiling) {
+      muted().text("Ceiling in effect — fix the gaps below to unlock higher scores.", {
+        width: width - 110,
+      });
+    }
+    doc.x = left;
+    doc.y = Math.max(doc.y, scoreY + 50);
+
+    // Breakdown: two columns of labelled bars
+    heading("Score breakdown");
+    const colW = (width - 20) / 2;
+    const drawBars = (rows, x, y0) => {
+      let y = y0;
+      for (const r of rows) {
+        const v = r.value ?? 0;
+        body().text(pdfText(r.label), x, y, { width: colW * 0.42 });
+        const bx = x + colW * 0.44;
+        const bw = colW * 0.42;
+        doc.roundedRect(bx, y + 2, bw, 7, 3).fill("#e5e7eb");
+        if (v > 0) doc.roundedRect(bx, y + 2, (bw * v) / 100, 7, 3).fill(scoreColor(v));
+        body().text(r.value === null ? "n/a" : `${r.value}`, x + colW * 0.88, y, {
+          width: colW * 0.12,
+          align: "right",
+        });
+        y += 16;
+      }
+      return y;
+    };
+    const rowsH = 16 * Math.max(m.breakdown.gbp.length, m.breakdown.site.length);
+    ensure(rowsH);
+    const y0 = doc.y;
+    const yEnd = Math.max(
+      drawBars(m.breakdown.gbp, left, y0),
+      drawBars(m.breakdown.site, left + colW + 20, y0)
+    );
+    doc.x = left;
+    doc.y = yEnd;
+
+    const bullets = (items, empty) => {
+      if (!items.length) return muted().text(pdfText(empty), left, doc.y, { width });
+      body();
+      for (const it of items) {
+        ensure(14);
+        doc.text(`•  ${pdfText(it)}`, left, doc.y, { width, indent: 0 });
+      }
+    };
+    heading("Google Business Profile");
+    bullets(m.gbpFindings, "No GBP gaps found.");
+    heading("Website");
+    bullets(m.siteFindings, "No website gaps found.");
+
+    // Competitors table
+    if (m.competitors?.items.length) {
+      heading(`Top competitors${m.competitors.area ? ` in ${m.competitors.area}` : ""}`);
+      const cols = [
+        { key: "rank", label: "#", w: 0.06, align: "right" },
+        { key: "name", label: "Business", w: 0.52, align: "left" },
+        { key: "rating", label: "Rating", w: 0.14, align: "right" },
+        { key: "reviews", label: "Reviews", w: 0.14, align: "right" },
+        { key: "gbpScore", label: "GBP score", w: 0.14, align: "right" },
+      ];
+      const drawRow = (cells, bold) => {
+        ensure(16);
+        const y = doc.y;
+        let x = left;
+        doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9.5).fillColor("#111827");
+        cols.forEach((c, i) => {
+          const w = width * c.w;
+          doc.text(pdfText(cells[i]), x + 2, y, {
+            width: w - 4,
+            align: c.align,
+            lineBreak: false,
+            ellipsis: true,
+          });
+          x += w;
+        });
+        doc.y = y + 15;
+        doc.moveTo(left, doc.y - 2).lineTo(left + width, doc.y - 2).lineWidth(0.3);
+        doc.strokeColor("#e5e7eb").stroke();
+      };
+      drawRow(cols.map((c) => c.label), true);
+      for (const c of m.competitors.items) drawRow(cols.map((col) => c[col.key] ?? ""), false);
+    }
+
+    // Actions
+    if (m.actions.length) {
+      heading("Recommended actions");
+      m.actions.forEach((a, i) => {
+        ensure(28);
+        doc.font("Helvetica-Bold").fontSize(10).fillColor("#111827");
+        const pts = a.uplift > 0 ? `  (+${a.uplift} pts)` : "";
+        doc.text(`${i + 1}. ${pdfText(a.title)}${pts}`, left, doc.y, { width });
+        const tags = [a.effort && `${a.effort} effort`, a.category].filter(Boolean).join(", ");
+        const detail = [a.detail, tags && `[${tags}]`].filter(Boolean).join(" ");
+        if (detail) muted().text(pdfText(detail), left + 14, doc.y, { width: width - 14 });
+        doc.moveDown(0.3);
+      });
+    }
+
+    // Footer on every page
+    const footer = pdfText(
+      `Prepared by ${m.brand?.name || "Elev8Trades"}` +
+        `${m.brand?.contact ? ` · ${m.brand.contact}` : ""} · Audit ${m.auditId} · ` +
+        `scoring ${m.summary.scoringVersion} · generated ${fmtDate(m.generatedAt)}`
+    );
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      const y = doc.page.height - 36;
+      doc.page.margins.bottom = 0;
+      muted().text(footer, left, y, { width, align: "center", lineBreak: false });
+    }
+    doc.end();
+  });
+}
+
+module.exports = { renderReportPdf };
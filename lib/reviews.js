@@ -0,0 +1,193 @@
+/**
+ * Review intelligence from Place Details `reviews` (Google returns at most 5, newest first when
+ * asked with reviews_sort=newest): recency, estimated monthly velocity, owner-response rate,
+ * rating distribution and recurring themes from a small keyword lexicon. Itemized pass/fail
+ * checks roll up into a diagnostic "Review activity" subscore (like website health, it does not
+ * move the final score).
+ *
+ * The Places API does not return owner replies, so the response rate is only measured when
+ * reviews carry a Business Profile API `reviewReply`; otherwise that check drops out.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_DAYS = 30.44;
+
+const LIMITS = {
+  recentDays: 30,
+  velocityGoal: 5, // reviews a month — the Playbook's "5–10/mo"
+  responseGoal: 0.9,
+  ratingGoal: 4.5,
+  recurring: 2, // reviews mentioning a theme before it counts as recurring
+};
+
+// Positive themes are counted in 4–5 star reviews, negative ones in 1–3 star reviews, so a
+// phrase's polarity comes from the reviewer's rating rather than from parsing negation.
+// Phrases are whole-word regex fragments ("leaks?" = leak or leaks).
+const THEMES = {
+  positive: {
+    responsive: [
+      "Responsive",
+      ["responsive", "got back", "called back", "communication", "communicative", "kept us"],
+    ],
+    punctual: ["On time", ["on time", "punctual", "prompt", "same day", "showed up"]],
+    quality: [
+      "Quality work",
+      ["quality", "great job", "excellent work", "thorough", "attention to detail"],
+    ],
+    price: [
+      "Fair price",
+      ["fair price", "reasonable", "reasonably", "affordable", "honest", "good price"],
+    ],
+    professional: ["Professional crew", ["professional", "knowledgeable", "courteous", "polite"]],
+    cleanup: ["Clean job site", ["cleaned up", "clean up", "spotless", "tidy", "no mess"]],
+  },
+  negative: {
+    no_show: [
+      "Late or no-show",
+      ["no show", "no-show", "never showed", "late", "rescheduled", "rescheduling"],
+    ],
+    unresponsive: [
+      "Hard to reach",
+      ["never called", "call back", "unresponsive", "no response", "never heard", "ignored"],
+    ],
+    price: [
+      "Pricing complaints",
+      ["overpriced", "expensive", "overcharged", "overcharging", "hidden fees?", "rip ?off"],
+    ],
+    quality: [
+      "Poor workmanship",
+      ["sloppy", "poor work", "leaks?", "leaking", "leaked", "redo", "shoddy", "damaged?"],
+    ],
+    attitude: ["Rude staff", ["rude", "unprofessional", "arrogant", "yelled"]],
+    mess: ["Left a mess", ["mess", "messy", "debris", "nails everywhere"]],
+  },
+};
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+function themesIn(reviews, polarity) {
+  const wanted = polarity === "positive" ? (r) => r >= 4 : (r) => r > 0 && r <= 3;
+  const texts = reviews.filter((r) => wanted(r.rating)).map((r) => r.text.toLowerCase());
+  return Object.entries(THEMES[polarity])
+    .map(([id, [label, words]]) => {
+      const re = new RegExp(`\\b(${words.join("|")})\\b`, "i");
+      const mentions = texts.filter((t) => re.test(t)).length;
+      return { id, label, mentions, recurring: mentions >= LIMITS.recurring };
+    })
+    .filter((t) => t.mentions > 0)
+    .sort((a, b) => b.mentions - a.mentions);
+}
+
+/**
+ * details: Place Details with `reviews` (and `user_ratings_total`). Returns null without
+ * details, else { total, sampleSize, lastReviewAt, daysSinceLast, velocity, ownerResponse,
+ * distribution, averageRecent, themes: { positive, negative }, checks, reviewsScore }.
+ */
+function analyzeReviews(details, { now = Date.now() } = {}) {
+  if (!details) return null;
+  const reviews = (Array.isArray(details.reviews) ? details.reviews : [])
+    .map((r) => ({
+      rating: Number(r.rating) || 0,
+      time: Number(r.time) > 0 ? Number(r.time) * 1000 : null,
+      text: String(r.text || ""),
+      replied: r.reviewReply === undefined ? undefined : !!r.reviewReply,
+    }))
+    .sort((a, b) => (b.time || 0) - (a.time || 0));
+  const total = details.user_ratings_total || 0;
+
+  const times = reviews.map((r) => r.time).filter(Boolean);
+  const newest = times.length ? Math.max(...times) : null;
+  const oldest = times.length ? Math.min(...times) : null;
+  const daysSinceLast = newest === null ? null : Math.max(0, Math.floor((now - newest) / DAY_MS));
+  // The sample is the newest few reviews, so count / months since the oldest of them is the
+  // recent pace (floored at a week so one fresh review doesn't read as 30 a month).
+  const months = oldest === null ? null : Math.max(7, (now - oldest) / DAY_MS) / MONTH_DAYS;
+  const perMonth = months === null ? null : round1(times.length / months);
+
+  const measured = reviews.filter((r) => r.replied !== undefined);
+  const replied = measured.filter((r) => r.replied).length;
+  const responseRate = measured.length ? Math.round((replied / measured.length) * 100) / 100 : null;
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  for (const r of reviews) if (distribution[r.rating] !== undefined) distribution[r.rating]++;
+  const rated = reviews.filter((r) => r.rating > 0);
+  const averageRecent = rated.length
+    ? round1(rated.reduce((s, r) => s + r.rating, 0) / rated.length)
+    : null;
+
+  const themes = {
+    positive: themesIn(reviews, "positive"),
+    negative: themesIn(reviews, "negative"),
+  };
+  const recurringComplaints = themes.negative.filter((t) => t.recurring);
+
+  // No reviews at all fails recency and velocity outright; a missing sample leaves them unknown.
+  const activity = (value, ok) => (total === 0 ? false : value === null ? null : ok(value));
+  const checks = [
+    {
+      id: "recent",
+      label: `A review in the last ${LIMITS.recentDays} days`,
+      weight: 30,
+      pass: activity(daysSinceLast, (d) => d <= LIMITS.recentDays),
+      value: daysSinceLast,
+    },
+    {
+      id: "velocity",
+      label: `${LIMITS.velocityGoal}+ new reviews a month`,
+      weight: 30,
+      pass: activity(perMonth, (v) => v >= LIMITS.velocityGoal),
+      value: perMonth,
+    },
+    {
+      id: "responses",
+      label: `Owner replies to ${Math.round(LIMITS.responseGoal * 100)}%+ of reviews`,
+      weight: 20,
+      pass: responseRate === null ? null : responseRate >= LIMITS.responseGoal,
+      value: responseRate,
+    },
+    {
+      id: "recent_rating",
+      label: `Recent reviews average ${LIMITS.ratingGoal}+ stars`,
+      weight: 10,
+      pass: averageRecent === null ? null : averageRecent >= LIMITS.ratingGoal,
+      value: averageRecent,
+    },
+    {
+      id: "complaints",
+      label: "No recurring complaint in recent reviews",
+      weight: 10,
+      pass: rated.length ? !recurringComplaints.length : null,
+      value: recurringComplaints.map((t) => t.id),
+    },
+  ];
+
+  // Unevaluated checks (pass === null) drop out of the denominator.
+  let earned = 0;
+  let possible = 0;
+  for (const c of checks) {
+    if (c.pass === null) continue;
+    possible += c.weight;
+    if (c.pass) earned += c.weight;
+  }
+
+  return {
+    total,
+    sampleSize: reviews.length,
+    lastReviewAt: newest === null ? null : new Date(newest).toISOString(),
+    daysSinceLast,
+    velocity: { perMonth, basis: times.length ? "recent_sample" : null },
+    ownerResponse: {
+      rate: responseRate,
+      replied,
+      of: measured.length,
+      measured: !!measured.length,
+    },
+    distribution,
+    averageRecent,
+    themes,
+    checks,
+    reviewsScore: possible ? Math.round((100 * earned) / possible) : null,
+  };
+}
+
+module.exports = { analyzeReviews, LIMITS };
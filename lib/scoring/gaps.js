@@ -0,0 +1,170 @@
+/**
+ * Head-to-head gap analysis: where the target business sits among its competitors.
+ * Works on competitive-snapshot items (one flagged `isTarget`) — pure, no Google calls.
+ * Deltas are target minus rival, so negative means behind. When rivals' websites were scored
+ * (rankedBy "finalScore"), site and blended score gaps are included too.
+ */
+
+const { scoreGBPFacts } = require("./index");
+const { hoursFacts } = require("../hours");
+
+const SIGNAL_LABELS = {
+  rating: "star rating",
+  volume: "review volume",
+  category: "category match",
+  photos: "photos",
+  hours: "listed hours",
+  website: "website",
+  coverage: "distance from the service area",
+};
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+function median(values) {
+  const list = values.filter((v) => Number.isFinite(v)).sort((a, b) => a - b);
+  if (!list.length) return 0;
+  const mid = Math.floor(list.length / 2);
+  return list.length % 2 ? list[mid] : (list[mid - 1] + list[mid]) / 2;
+}
+
+// Percent rank among rivals: share strictly below plus half the ties, 0–100.
+function percentile(value, values) {
+  if (!values.length) return null;
+  const below = values.filter((v) => v < value).length;
+  const ties = values.filter((v) => v === value).length;
+  return Math.round(((below + ties / 2) / values.length) * 100);
+}
+
+const factsOf = (it) => ({
+  rating: it.rating,
+  reviews: it.reviews,
+  photos: it.photosCount,
+  hasHours: it.hasHours,
+  weekly: hoursFacts(it.hours),
+  emergencyExpected: it.hours ? it.hours.emergency.expected : null,
+  categoryMatch: it.categoryMatch,
+  coverage: it.coverage,
+});
+
+// GBP points a score lost to its coverage factor (profiles with `gbp.coverage` only).
+const coverageLoss = (s) =>
+  s.coverageFactor > 0 && s.coverageFactor < 1 ? s.gbpScore / s.coverageFactor - s.gbpScore : 0;
+
+function gapsAgainst(target, other, withSites) {
+  const out = {
+    scoreDelta: round1(target.gbpScore - other.gbpScore),
+    reviewsBehind: Math.max(0, Math.round(other.reviews - target.reviews)),
+    ratingDelta: round1(target.rating - other.rating),
+    photosDelta: Math.round(target.photosCount - other.photosCount),
+  };
+  if (withSites) {
+    out.finalScoreDelta = round1(target.finalScore - other.finalScore);
+    out.siteScoreDelta = round1((target.siteScore || 0) - (other.siteScore || 0));
+  }
+  return out;
+}
+
+/**
+ * Signal costing the target the most points against `leader`, by profile weight × subscore
+ * shortfall. On final scores, GBP signals are scaled by the target's blend weight and a website
+ * gap counts only against a blended leader; under a coverage-aware profile, points lost to
+ * distance from the service area compete too. Null when the target is not behind on any signal.
+ */
+function mainGapVs(target, leader, profile, withSites) {
+  const you = scoreGBPFacts(factsOf(target), profile);
+  const them = scoreGBPFacts(factsOf(leader), profile);
+  const blended = (it) => withSites && it.path === "BLENDED_60_40";
+  const gbpShare = blended(target) ? profile.blend.gbp : 1;
+  const shortfalls = Object.entries(profile.gbp.weights).map(([signal, w]) => [
+    signal,
+    gbpShare * w * ((them[`${signal}Pct`] || 0) - (you[`${signal}Pct`] || 0)),
+  ]);
+  if (profile.gbp.coverage) {
+    shortfalls.push(["coverage", gbpShare * (coverageLoss(you) - coverageLoss(them))]);
+  }
+  if (blended(leader)) {
+    const site = profile.blend.site * ((leader.siteScore || 0) - (target.siteScore || 0));
+    shortfalls.push(["website", site]);
+  }
+  let best = null;
+  for (const [signal, raw] of shortfalls) {
+    const points = round1(raw);
+    if (points > 0 && (!best || points > best.points)) {
+      best = { signal, label: SIGNAL_LABELS[signal] || signal, points };
+    }
+  }
+  return best;
+}
+
+/**
+ * items: ranked snapshot items, one with `isTarget: true`; rankedBy: "gbpScore" | "finalScore".
+ * Returns { rank, of, gaps: { leader, median }, percentiles, mainGap, summary } or null when
+ * the target is missing from `items`.
+ */
+function gapAnalysis(items, profile, { rankedBy = "gbpScore" } = {}) {
+  const target = (items || []).find((it) => it.isTarget);
+  if (!target) return null;
+  const withSites = rankedBy === "finalScore";
+  const rivals = items.filter((it) => !it.isTarget);
+  const of = items.length;
+  const out = {
+    rank: target.rank,
+    of,
+    gaps: { leader: null, median: null },
+    percentiles: null,
+    mainGap: null,
+    summary: `You're #${target.rank} of ${of}.`,
+  };
+  if (!rivals.length) return out;
+
+  // Best rival — the one to beat, or the closest chaser when the target already leads.
+  const leader = rivals[0];
+  out.gaps.leader = {
+    placeId: leader.placeId,
+    name: leader.name,
+    ...gapsAgainst(target, leader, withSites),
+    hours: { you: !!target.hasHours, them: !!leader.hasHours },
+    website: { you: !!target.website, them: !!leader.website },
+  };
+
+  const share = (pred) => Math.round((rivals.filter(pred).length / rivals.length) * 100) / 100;
+  const mid = {
+    gbpScore: median(rivals.map((r) => r.gbpScore)),
+    reviews: median(rivals.map((r) => r.reviews)),
+    rating: median(rivals.map((r) => r.rating)),
+    photosCount: median(rivals.map((r) => r.photosCount)),
+  };
+  if (withSites) {
+    mid.finalScore = median(rivals.map((r) => r.finalScore));
+    mid.siteScore = median(rivals.map((r) => r.siteScore || 0));
+  }
+  out.gaps.median = {
+    ...gapsAgainst(target, mid, withSites),
+    hours: { you: !!target.hasHours, rivalsShare: share((r) => r.hasHours) },
+    website: { you: !!target.website, rivalsShare: share((r) => !!r.website) },
+  };
+
+  out.percentiles = {
+    gbpScore: percentile(target.gbpScore, rivals.map((r) => r.gbpScore)),
+    rating: percentile(target.rating, rivals.map((r) => r.rating)),
+    reviews: percentile(target.reviews, rivals.map((r) => r.reviews)),
+    photos: percentile(target.photosCount, rivals.map((r) => r.photosCount)),
+  };
+  if (withSites) {
+    out.percentiles.finalScore = percentile(target.finalScore, rivals.map((r) => r.finalScore));
+    out.percentiles.siteScore = percentile(
+      target.siteScore || 0,
+      rivals.map((r) => r.siteScore || 0)
+    );
+  }
+
+  if (target.rank > 1) {
+    out.mainGap = mainGapVs(target, leader, profile, withSites);
+    if (out.mainGap) {
+      out.summary = `You're #${target.rank} of ${of}, mostly because of ${out.mainGap.label}.`;
+    }
+  }
+  return out;
+}
+
+module.exports = { gapAnalysis, median, percentile };
@@ -0,0 +1,225 @@
+/**
+ * Scoring engine. All math is driven by a profile from ./profiles so the same inputs always
+ * produce the same numbers for a given `scoringVersion`.
+ */
+
+const { PROFILES, DEFAULT_VERSION } = require("./profiles");
+const { matchesTrade, getTrade } = require("../trades");
+const { COVERAGE_STATUSES } = require("../coverage");
+const { analyzeHours, hoursFacts } = require("../hours");
+
+const clampPct = (x) => Math.max(0, Math.min(100, Math.round(x)));
+
+function tierValue(tiers, x) {
+  const v = Number(x) || 0;
+  for (const [min, pct] of tiers) if (v >= min) return pct;
+  return 0;
+}
+
+function listVersions() {
+  return Object.keys(PROFILES);
+}
+
+function defaultVersion() {
+  const v = String(process.env.SCORING_VERSION || "").trim();
+  return PROFILES[v] ? v : DEFAULT_VERSION;
+}
+
+// Returns the profile for `version` (default when empty) or null when unknown.
+function getProfile(version) {
+  const v = String(version || "").trim() || defaultVersion();
+  return PROFILES[v] || null;
+}
+
+// "substring" = raw trade text inside a Google type; "taxonomy" = lib/trades types + synonyms.
+function categoryMatches(details, businessType, matcher = "substring") {
+  if (matcher === "taxonomy") {
+    return matchesTrade(businessType, {
+      types: details.types,
+      summary: details.editorial_summary?.overview,
+    });
+  }
+  const bt = String(businessType || "").toLowerCase().trim();
+  const cats = (details.types || []).map((t) => String(t).toLowerCase());
+  return cats.some((c) => c.includes(bt));
+}
+
+function photosPctFor(count, cfg) {
+  if (cfg.perPhoto) return clampPct(count * cfg.perPhoto);
+  return tierValue(cfg.tiers || [], count);
+}
+
+function weighted(weights, pcts) {
+  let sum = 0;
+  for (const [k, w] of Object.entries(weights)) sum += w * (pcts[k] || 0);
+  return clampPct(sum);
+}
+
+/**
+ * Normalized GBP facts the score is computed from (null without details):
+ * { rating, reviews, photos, hasHours, weekly, emergencyExpected, categoryMatch, coverage } —
+ * weekly is the hoursFacts() slice of the weekly schedule; emergencyExpected says whether the
+ * trade is one customers call around the clock; categoryMatch is null when no trade was given;
+ * coverage is the assessCoverage() status (null when not assessed).
+ * Kept separate so stored audits and what-if simulations can be re-scored.
+ */
+function gbpFacts(details, businessType, profile = getProfile(), coverage = null) {
+  if (!details) return null;
+  const oh = details.opening_hours;
+  const bt = String(businessType || "").trim();
+  return {
+    rating: details.rating || 0,
+    reviews: details.user_ratings_total || 0,
+    photos: Array.isArray(details.photos) ? details.photos.length : 0,
+    // Published profiles before the weekly model counted hours only from Google's open_now flag;
+    // keep that so their scores don't move. The weekly model also reads the schedule itself.
+    hasHours:
+      profile.gbp.hours.model === "weekly"
+        ? !!(
+            oh &&
+            (typeof oh.open_now === "boolean" || oh.periods?.length || oh.weekday_text?.length)
+          )
+        : typeof oh?.open_now === "boolean",
+    weekly: hoursFacts(analyzeHours(details, { businessType: bt })),
+    emergencyExpected: !!getTrade(bt)?.emergency,
+    categoryMatch: bt ? categoryMatches(details, bt, profile.gbp.category.matcher) : null,
+    coverage: COVERAGE_STATUSES.includes(coverage?.status) ? coverage.status : null,
+  };
+}
+
+// Hours known only as present/absent (audits stored before weekly facts, "hours" overrides)
+// score as a typical Mon–Fri week without emergency service; emergency credit then depends on
+// the trade, and is withheld when the trade's need is unknown.
+const TYPICAL_WEEK = { listed: true, weekdaysOpen: 5, weekend: false, emergency: false };
+
+// "weekly" model: points for listing hours, weekday coverage, weekend and emergency service.
+function weeklyHoursPct(facts, cfg) {
+  const typical = { ...TYPICAL_WEEK, emergencyExpected: facts.emergencyExpected ?? true };
+  const w = facts.weekly || (facts.hasHours ? typical : null);
+  if (!w || !w.listed) return cfg.missing;
+  return clampPct(
+    cfg.listed +
+      (cfg.weekdays * Math.min(5, w.weekdaysOpen || 0)) / 5 +
+      (w.weekend ? cfg.weekend : 0) +
+      (!w.emergencyExpected || w.emergency ? cfg.emergency : 0)
+  );
+}
+
+function scoreGBPFacts(facts, profile = getProfile()) {
+  const out = { ratingPct: 0, volumePct: 0, categoryPct: 0, photosPct: 0, hoursPct: 0 };
+  if (!facts) return { gbpScore: 0, ...out };
+  const cfg = profile.gbp;
+
+  out.ratingPct = clampPct(((facts.rating || 0) / 5) * 100);
+  out.volumePct = tierValue(cfg.volumeTiers, facts.reviews || 0);
+  out.categoryPct =
+    facts.categoryMatch === null || facts.categoryMatch === undefined
+      ? cfg.category.noTrade
+      : facts.categoryMatch
+      ? cfg.category.match
+      : cfg.category.miss;
+  out.photosPct = photosPctFor(facts.photos || 0, cfg.photos);
+  out.hoursPct =
+    cfg.hours.model === "weekly"
+      ? weeklyHoursPct(facts, cfg.hours)
+      : facts.hasHours
+      ? cfg.hours.present
+      : cfg.hours.missing;
+
+  const gbpScore = weighted(cfg.weights, {
+    rating: out.ratingPct,
+    volume: out.volumePct,
+    category: out.categoryPct,
+    photos: out.photosPct,
+    hours: out.hoursPct,
+  });
+  if (!cfg.coverage) return { gbpScore, ...out };
+
+  out.coverageFactor = cfg.coverage[facts.coverage] ?? 1;
+  return { gbpScore: clampPct(gbpScore * out.coverageFactor), ...out };
+}
+
+function scoreGBP(details, businessType, profile = getProfile(), coverage = null) {
+  return scoreGBPFacts(gbpFacts(details, businessType, profile, coverage), profile);
+}
+
+/**
+ * facts: { reachable, https, contactOk, contentLength, signals }
+ * `signals` is extractSiteSignals() output (used by the on-page model).
+ */
+function scoreWebsite(facts, profile = getProfile()) {
+  const cfg = profile.site;
+  const f = facts || {};
+
+  if (cfg.model === "onpage") {
+    const o = cfg.onpage;
+    const s = f.signals || {};
+    let base = o.base;
+    base += tierValue(o.titleTiers, s.titleLen || 0);
+    if (s.hasMetaDesc) base += o.metaDesc;
+    if ((s.h1Count || 0) >= 1) base += o.h1;
+    base += Math.min(o.ctaMax, s.ctaBonus || 0);
+    if (!f.reachable) base -= o.unreachablePenalty;
+    return { siteScore: clampPct(base) };
+  }
+
+  const out = {
+    reachablePct: f.reachable ? 100 : 0,
+    httpsPct: f.https ? 100 : 0,
+    contactPct: f.reachable && f.contactOk ? 100 : 0,
+    contentPct: f.reachable ? tierValue(cfg.contentTiers, f.contentLength || 0) : 0,
+  };
+  const siteScore = f.reachable
+    ? weighted(cfg.weights, {
+        reachable: out.reachablePct,
+        https: out.httpsPct,
+        contact: out.contactPct,
+        content: out.contentPct,
+      })
+    : 0;
+  return { siteScore, ...out };
+}
+
+function blendScores(gbpScore, siteScore, profile = getProfile()) {
+  return clampPct(profile.blend.gbp * gbpScore + profile.blend.site * siteScore);
+}
+
+/**
+ * Path / status / final score — the single decision used by /api/analyze and simulations.
+ * state: { forceSiteOnly, hasPlace, hasSite, siteReachable }
+ */
+function decidePath(state, gbpScore, siteScore, profile = getProfile()) {
+  const { forceSiteOnly, hasPlace, hasSite, siteReachable } = state;
+  if (forceSiteOnly) {
+    return { status: "SITE_ONLY_FORCED", path: "SITE_ONLY", finalScore: siteScore, ceiling: true };
+  }
+  if (!hasPlace && hasSite) {
+    return { status: "SITE_ONLY", path: "SITE_ONLY", finalScore: siteScore, ceiling: true };
+  }
+  if (hasPlace && (!hasSite || !siteReachable)) {
+    return { status: "GBP_ONLY", path: "GBP_ONLY", finalScore: gbpScore, ceiling: true };
+  }
+  if (hasPlace && hasSite) {
+    return {
+      status: "BLENDED_60_40",
+      path: "BLENDED_60_40",
+      finalScore: blendScores(gbpScore, siteScore, profile),
+      ceiling: gbpScore < 60 || !siteReachable,
+    };
+  }
+  return { status: "NEEDS_INPUT", path: "NEEDS_INPUT", finalScore: 0, ceiling: false };
+}
+
+module.exports = {
+  getProfile,
+  listVersions,
+  defaultVersion,
+  tierValue,
+  categoryMatches,
+  gbpFacts,
+  scoreGBPFacts,
+  scoreGBP,
+  scoreWebsite,
+  blendScores,
+  decidePath,
+};
@@ -0,0 +1,113 @@
+/**
+ * Named, versioned scoring profiles. A profile is pure data: weights, tier tables and blend
+ * ratios. Never edit a published profile in place — add a new version so quoted scores stay
+ * reproducible.
+ *
+ * Tier tables are [min, pct] pairs, highest threshold first; the first row whose `min` the
+ * value reaches wins.
+ */
+
+const PROFILES = {
+  // Pre-spec heuristics that shipped before the v1 spec (kept so old quotes can be re-run).
+  v0: {
+    version: "v0",
+    label: "Legacy heuristics (pre-spec)",
+    gbp: {
+      weights: { rating: 0.35, volume: 0.25, category: 0.15, photos: 0.15, hours: 0.1 },
+      volumeTiers: [
+        [100, 100],
+        [50, 85],
+        [20, 70],
+        [5, 50],
+        [0, 20],
+      ],
+      category: { match: 100, miss: 50, noTrade: 60, matcher: "substring" },
+      photos: { perPhoto: 5 },
+      hours: { present: 80, missing: 40 },
+    },
+    site: {
+      model: "onpage",
+      probeTimeoutMs: 7000,
+      onpage: {
+        base: 20,
+        titleTiers: [
+          [30, 20],
+          [10, 10],
+        ],
+        metaDesc: 10,
+        h1: 10,
+        ctaMax: 10,
+        unreachablePenalty: 30,
+      },
+    },
+    blend: { gbp: 0.6, site: 0.4 },
+  },
+
+  // README "Scoring Spec (v1)".
+  v1: {
+    version: "v1",
+    label: "Scoring Spec v1",
+    gbp: {
+      weights: { rating: 0.4, volume: 0.25, category: 0.15, photos: 0.1, hours: 0.1 },
+      volumeTiers: [
+        [250, 100],
+        [100, 90],
+        [50, 80],
+        [20, 60],
+        [5, 40],
+        [1, 25],
+        [0, 0],
+      ],
+      category: { match: 100, miss: 60, noTrade: 80, matcher: "taxonomy" },
+      photos: {
+        tiers: [
+          [1, 100],
+          [0, 0],
+        ],
+      },
+      hours: { present: 100, missing: 0 },
+    },
+    site: {
+      model: "components",
+      probeTimeoutMs: 4000,
+      weights: { reachable: 0.4, https: 0.25, contact: 0.2, content: 0.15 },
+      contentTiers: [
+        [20000, 100],
+        [5000, 60],
+        [1, 30],
+        [0, 0],
+      ],
+    },
+    blend: { gbp: 0.6, site: 0.4 },
+  },
+};
+
+// v1 plus service-area coverage: a profile whose pin is outside the target area (see
+// lib/coverage.js) can't be shown there, so its GBP score is scaled by `gbp.coverage[status]`.
+// Statuses not listed (unknown) leave the score as is.
+PROFILES.v2 = {
+  ...PROFILES.v1,
+  version: "v2",
+  label: "Scoring Spec v1 + service-area coverage",
+  gbp: {
+    ...PROFILES.v1.gbp,
+    coverage: { inside: 1, nearby: 0.9, distant: 0.7 },
+  },
+};
+
+// v2 with hours scored from the full weekly schedule instead of "any hours listed":
+// listed + weekday coverage (per weekday open, of 5) + weekend + emergency availability (always
+// credited for trades where customers don't call after hours).
+PROFILES.v3 = {
+  ...PROFILES.v2,
+  version: "v3",
+  label: "Scoring Spec v1 + service-area coverage + weekly hours",
+  gbp: {
+    ...PROFILES.v2.gbp,
+    hours: { model: "weekly", missing: 0, listed: 60, weekdays: 20, weekend: 10, emergency: 10 },
+  },
+};
+
+const DEFAULT_VERSION = "v3";
+
+module.exports = { PROFILES, DEFAULT_VERSION };
@@ -0,0 +1,78 @@
+/**
+ * Quick (offline) estimate for /api/analyze?quick=1: rep-supplied facts layered over whatever
+ * is already known (cached GBP details, the last stored audit) and scored through the
+ * simulator's override path — no Google or website calls, so no API quota.
+ */
+
+const { sanitizeInputs, applyOverrides, scoreInputs } = require("./simulate");
+
+// Facts a rep can supply, in the simulator's override vocabulary (hasWebsite -> siteReachable).
+const FACT_KEYS = ["rating", "reviews", "photos", "hours", "categoryMatch", "https", "contactOk"];
+// What the confidence score counts: each signal known (from the rep or stored data) or not.
+const SIGNALS = ["rating", "reviews", "photos", "hours", "categoryMatch", "website"];
+
+const present = (v) => v !== undefined && v !== null && v !== "";
+
+/**
+ * known: { gbp: gbpFacts | null, gbpSource, site: site facts | false (known: no site) | null,
+ *          siteSource }
+ * facts: { rating, reviews, photos, hours, categoryMatch, hasWebsite, https, contactOk }
+ * Returns null when nothing at all is known, else
+ *   { result: { status, path, finalScore, ceiling, gbp, site }, scoringInputs,
+ *     confidence: { score, level, sources }, assumptions, ignored }.
+ */
+function quickEstimate(known = {}, facts = {}, profile) {
+  const base = sanitizeInputs({
+    hasPlace: !!known.gbp,
+    hasSite: !!known.site,
+    siteReachable: !!known.site?.reachable,
+    gbp: known.gbp || null,
+    site: known.site || null,
+  });
+
+  const overrides = {};
+  for (const k of FACT_KEYS) if (present(facts[k])) overrides[k] = facts[k];
+  if (present(facts.hasWebsite)) overrides.siteReachable = facts.hasWebsite;
+
+  const stored = (k) => (known.gbp && known.gbp[k] !== null ? known.gbpSource : null);
+  const sources = {
+    rating: present(facts.rating) ? "user" : stored("rating"),
+    reviews: present(facts.reviews) ? "user" : stored("reviews"),
+    photos: present(facts.photos) ? "user" : stored("photos"),
+    hours: present(facts.hours) ? "user" : stored("hasHours"),
+    categoryMatch: present(facts.categoryMatch) ? "user" : stored("categoryMatch"),
+    website: present(facts.hasWebsite) ? "user" : known.site != null ? known.siteSource : null,
+  };
+  if (!Object.values(sources).some(Boolean)) return null;
+
+  const { inputs, ignored } = applyOverrides(base, overrides);
+  const result = scoreInputs(inputs, profile);
+
+  const assumptions = [];
+  if (inputs.hasPlace) {
+    for (const k of ["rating", "reviews", "photos", "hours"]) {
+      if (!sources[k]) assumptions.push(`${k} unknown — scored as none`);
+    }
+    if (!sources.categoryMatch) assumptions.push("category match unknown — scored as neutral");
+  }
+  if (sources.website === "user" && !known.site && facts.hasWebsite) {
+    assumptions.push("website quality unknown — scored as reachable with no on-page signals");
+  }
+  if (!sources.website) assumptions.push("website unknown — treated as missing");
+  else if (!inputs.hasSite) assumptions.push("no website — scored without one");
+
+  const score = SIGNALS.filter((k) => sources[k]).length / SIGNALS.length;
+  return {
+    result,
+    scoringInputs: inputs,
+    confidence: {
+      score: Math.round(score * 100) / 100,
+      level: score >= 0.8 ? "high" : score >= 0.5 ? "medium" : "low",
+      sources,
+    },
+    assumptions,
+    ignored,
+  };
+}
+
+module.exports = { quickEstimate, FACT_KEYS };
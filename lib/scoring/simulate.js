@@ -0,0 +1,209 @@
+/**
+ * What-if simulation: re-score an audit's stored scoring inputs with hypothetical overrides.
+ * Pure — no Google or website calls; uses the same scoring and path logic as /api/analyze.
+ */
+
+const { scoreGBPFacts, scoreWebsite, decidePath } = require("./index");
+const { COVERAGE_STATUSES } = require("../coverage");
+
+const GBP_KEYS = ["rating", "reviews", "photos", "hours", "categoryMatch"];
+const SITE_KEYS = ["https", "contactOk", "contentLength", "signals"];
+
+const num = (v, min, max) => {
+  const n = Number(v);
+  if (v === null || v === "" || !Number.isFinite(n)) return undefined;
+  return Math.min(max, Math.max(min, n));
+};
+const int = (v, min, max) => {
+  const n = num(v, min, max);
+  return n === undefined ? undefined : Math.round(n);
+};
+const bool = (v) => {
+  if (v === undefined || v === null || v === "") return undefined;
+  return v === true || v === 1 || v === "1" || v === "true";
+};
+
+// Same CTA rule as extractSiteSignals: 2 points per tel: link after the first, max 10.
+const ctaBonusFor = (telCount) => Math.min(10, Math.max(0, telCount - 1) * 2);
+
+function sanitizeSignals(s = {}) {
+  const telCount = int(s.telCount, 0, 1000) ?? 0;
+  return {
+    titleLen: int(s.titleLen, 0, 1000) ?? 0,
+    hasMetaDesc: !!bool(s.hasMetaDesc),
+    telCount,
+    h1Count: int(s.h1Count, 0, 1000) ?? 0,
+    ctaBonus: ctaBonusFor(telCount),
+  };
+}
+
+function sanitizeWeekly(w) {
+  if (!w || typeof w !== "object") return null;
+  return {
+    listed: !!bool(w.listed),
+    daysOpen: int(w.daysOpen, 0, 7) ?? 0,
+    weekdaysOpen: int(w.weekdaysOpen, 0, 5) ?? 0,
+    weekend: !!bool(w.weekend),
+    emergency: !!bool(w.emergency),
+    emergencyExpected: !!bool(w.emergencyExpected),
+  };
+}
+
+/** Scoring inputs may come from the browser: coerce every field to a safe type and range. */
+function sanitizeInputs(raw = {}) {
+  const g = raw.gbp;
+  const s = raw.site;
+  return {
+    forceSiteOnly: !!bool(raw.forceSiteOnly),
+    hasPlace: !!bool(raw.hasPlace),
+    hasSite: !!bool(raw.hasSite),
+    siteReachable: !!bool(raw.siteReachable),
+    gbp:
+      g && typeof g === "object"
+        ? {
+            rating: num(g.rating, 0, 5) ?? 0,
+            reviews: int(g.reviews, 0, 1e6) ?? 0,
+            photos: int(g.photos, 0, 1e4) ?? 0,
+            hasHours: !!bool(g.hasHours),
+            weekly: sanitizeWeekly(g.weekly),
+            emergencyExpected: bool(g.emergencyExpected) ?? null,
+            categoryMatch: g.categoryMatch === null ? null : !!bool(g.categoryMatch),
+            coverage: COVERAGE_STATUSES.includes(g.coverage) ? g.coverage : null,
+          }
+        : null,
+    site:
+      s && typeof s === "object"
+        ? {
+            reachable: !!bool(s.reachable),
+            https: !!bool(s.https),
+            contactOk: !!bool(s.contactOk),
+            contentLength: int(s.contentLength, 0, 1e8) ?? 0,
+            signals: sanitizeSignals(s.signals || {}),
+          }
+        : null,
+  };
+}
+
+/**
+ * Apply overrides: { rating, reviews, photos, hours, categoryMatch, siteReachable, https,
+ * contactOk, contentLength, signals: { titleLen, hasMetaDesc, h1Count, telCount } }.
+ * GBP overrides on a business without a profile simulate a new one; website overrides need a
+ * site (or siteReachable: true). Returns { inputs, applied, ignored }.
+ */
+function applyOverrides(base, overrides = {}) {
+  const inp = JSON.parse(JSON.stringify(base));
+  const applied = {};
+  const ignored = [];
+  const o = overrides || {};
+
+  const gbpPatch = {
+    rating: num(o.rating, 0, 5),
+    reviews: int(o.reviews, 0, 1e6),
+    photos: int(o.photos, 0, 1e4),
+    hasHours: bool(o.hours),
+    categoryMatch: bool(o.categoryMatch),
+  };
+  if (Object.values(gbpPatch).some((v) => v !== undefined)) {
+    if (!inp.gbp) {
+      inp.gbp = {
+        rating: 0,
+        reviews: 0,
+        photos: 0,
+        hasHours: false,
+        weekly: null,
+        emergencyExpected: null,
+        categoryMatch: null,
+        coverage: null,
+      };
+    }
+    inp.hasPlace = true;
+    GBP_KEYS.forEach((k) => {
+      const key = k === "hours" ? "hasHours" : k;
+      if (gbpPatch[key] !== undefined) {
+        inp.gbp[key] = gbpPatch[key];
+        applied[k] = gbpPatch[key];
+      }
+      // hours: false drops the stored weekly schedule; hours: true keeps a listed one
+      if (key === "hasHours" && gbpPatch.hasHours !== undefined) {
+        if (!gbpPatch.hasHours || !inp.gbp.weekly?.listed) inp.gbp.weekly = null;
+      }
+    });
+  }
+
+  const reachable = bool(o.siteReachable);
+  if (reachable !== undefined) {
+    if (!inp.site && reachable) {
+      inp.site = {
+        reachable: true,
+        https: false,
+        contactOk: false,
+        contentLength: 0,
+        signals: sanitizeSignals(),
+      };
+    }
+    if (inp.site) inp.site.reachable = reachable;
+    inp.hasSite = inp.hasSite || reachable;
+    inp.siteReachable = reachable;
+    applied.siteReachable = reachable;
+  }
+
+  for (const k of SITE_KEYS) {
+    if (o[k] === undefined) continue;
+    if (!inp.site) {
+      ignored.push(k);
+      continue;
+    }
+    if (k === "signals") {
+      const merged = { ...inp.site.signals, ...(typeof o.signals === "object" ? o.signals : {}) };
+      inp.site.signals = sanitizeSignals(merged);
+      applied.signals = inp.site.signals;
+    } else {
+      const v = k === "contentLength" ? int(o[k], 0, 1e8) : bool(o[k]);
+      if (v === undefined) continue;
+      inp.site[k] = v;
+      applied[k] = v;
+    }
+  }
+
+  return { inputs: inp, applied, ignored };
+}
+
+function scoreInputs(inp, profile) {
+  const gbp = scoreGBPFacts(inp.gbp, profile);
+  const site = inp.site ? scoreWebsite(inp.site, profile) : { siteScore: 0 };
+  const decision = decidePath(inp, gbp.gbpScore, site.siteScore, profile);
+  return { ...decision, gbp, site };
+}
+
+function flatScores(r) {
+  return { finalScore: r.finalScore, ...r.gbp, ...r.site };
+}
+
+/**
+ * simulateScore(scoringInputs, overrides, profile) ->
+ *   { base, simulated, deltas, pathChanged, applied, ignored }
+ */
+function simulateScore(rawInputs, overrides, profile) {
+  const baseInputs = sanitizeInputs(rawInputs);
+  const { inputs, applied, ignored } = applyOverrides(baseInputs, overrides);
+  const base = scoreInputs(baseInputs, profile);
+  const simulated = scoreInputs(inputs, profile);
+
+  const before = flatScores(base);
+  const after = flatScores(simulated);
+  const deltas = {};
+  for (const k of Object.keys(after)) {
+    if (typeof after[k] === "number") deltas[k] = after[k] - (before[k] || 0);
+  }
+
+  return {
+    base,
+    simulated,
+    deltas,
+    pathChanged: base.path !== simulated.path || base.status !== simulated.status,
+    applied,
+    ignored,
+  };
+}
+
+module.exports = { simulateScore, sanitizeInputs, applyOverrides, scoreInputs };
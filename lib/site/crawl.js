@@ -0,0 +1,310 @@
+/**
+ * Bounded same-site crawler: robots.txt + sitemap.xml seeding, BFS over internal links to a
+ * depth/page budget, page classification and per-page + aggregate on-page signals.
+ *
+ * Pages keep their raw `html` (and response `headers`/timing) for downstream analyzers; use
+ * publicCrawl() before sending a crawl result to a client.
+ */
+
+const { fetchHtml } = require("./fetch");
+const { extractSiteSignals } = require("./signals");
+const { parseRobots, isAllowed, parseSitemap } = require("./robots");
+const { elements, firstInner, stripElements, stripTags } = require("./html");
+
+const DEFAULTS = {
+  maxPages: Number(process.env.CRAWL_MAX_PAGES) || 8,
+  maxDepth: Number(process.env.CRAWL_MAX_DEPTH) || 2,
+  budgetMs: 15000,
+  pageTimeoutMs: 6000,
+  concurrency: 3,
+};
+const HARD_MAX_PAGES = 25;
+const HARD_MAX_DEPTH = 4;
+const HARD_MAX_BUDGET_MS = 30000;
+const HARD_MAX_PAGE_TIMEOUT_MS = 10000;
+const HARD_MAX_CONCURRENCY = 5;
+const MAX_SITEMAP_URLS = 200;
+
+const SKIP_EXT = /\.(pdf|jpe?g|png|gif|webp|svg|ico|css|js|json|xml|zip|mp4|mp3|mov|docx?|xlsx?)$/i;
+
+// Order matters only for display; a page may carry several types.
+const PAGE_TYPES = [
+  ["contact", /(contact|get-in-touch|request-(a-)?(quote|estimate)|free-(quote|estimate))/i],
+  ["services", /(services?(?!-areas?)|what-we-do|repairs?|install(ation)?|replacement)/i],
+  ["location", /(service-areas?|areas?-(we-)?serve[ds]?|locations?|cities|near-me|communities)/i],
+  ["about", /(about|our-story|our-team|who-we-are|company)/i],
+  ["reviews", /(reviews?|testimonials?|what-(our-)?customers-say)/i],
+];
+const PRIORITY = ["contact", "services", "location", "about", "reviews"];
+
+const hostKey = (h) => String(h || "").toLowerCase().replace(/^www\./, "");
+const textOf = (s) => stripTags(s).replace(/\s+/g, " ").trim();
+
+function clampInt(v, lo, hi, dflt) {
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) ? Math.max(lo, Math.min(hi, n)) : dflt;
+}
+
+function canonicalize(href, base) {
+  try {
+    const u = new URL(href, base);
+    if (!/^https?:$/.test(u.protocol)) return null;
+    u.hash = "";
+    if (SKIP_EXT.test(u.pathname)) return null;
+    return u.href;
+  } catch {
+    return null;
+  }
+}
+
+function extractLinks(html, base) {
+  const out = [];
+  for (const a of elements(stripElements(html), ["a"])) {
+    const m = a.open.match(/\bhref\s*=\s*["']([^"']+)["']/i);
+    const href = m && canonicalize(m[1].trim(), base);
+    if (href) out.push({ href, text: textOf(a.inner).slice(0, 120) });
+  }
+  return out;
+}
+
+function classifyPage(url, { title = "", h1 = "" } = {}) {
+  let path = "/";
+  try {
+    path = decodeURIComponent(new URL(url).pathname.toLowerCase());
+  } catch {
+    /* keep "/" */
+  }
+  if (path === "/" || path === "") return ["home"];
+  const slug = path.replace(/[_\s]+/g, "-");
+  const text = `${title} ${h1}`.toLowerCase().replace(/\s+/g, "-");
+  return PAGE_TYPES.filter(([, re]) => re.test(slug) || re.test(text)).map(([t]) => t);
+}
+
+function pageDetails(url, html, depth, status) {
+  const titleMatch = html.match(/<title[^<>]*>([^<]{0,300})<\/title>/i);
+  const title = titleMatch ? textOf(titleMatch[1]) : "";
+  const h1 = textOf(firstInner(html, "h1")).slice(0, 200);
+  const body = stripTags(html);
+  const wordCount = (body.match(/[A-Za-z0-9][A-Za-z0-9'-]*/g) || []).length;
+  return {
+    url,
+    depth,
+    status,
+    types: classifyPage(url, { title, h1 }),
+    title,
+    h1,
+    wordCount,
+    signals: extractSiteSignals(html),
+  };
+}
+
+function priorityOf(url) {
+  const types = classifyPage(url);
+  const idx = Math.min(...types.map((t) => PRIORITY.indexOf(t)).filter((i) => i >= 0));
+  return Number.isFinite(idx) ? idx : PRIORITY.length;
+}
+
+// `timeLeft()` is the per-fetch timeout capped at what remains of the crawl budget (<= 0: stop).
+async function loadRobots(origin, fetchPage, timeLeft) {
+  if (timeLeft() <= 0) return { found: false, parsed: null };
+  const res = await fetchPage(`${origin}/robots.txt`, timeLeft());
+  if (!res.ok || /html/i.test(res.contentType || "")) return { found: false, parsed: null };
+  return { found: true, parsed: parseRobots(res.text) };
+}
+
+async function loadSitemapUrls(origin, robots, fetchPage, timeLeft) {
+  const roots = robots?.sitemaps?.length ? robots.sitemaps.slice(0, 3) : [`${origin}/sitemap.xml`];
+  const urls = [];
+  let found = false;
+  for (const sm of roots) {
+    if (timeLeft() <= 0) break;
+    const res = await fetchPage(sm, timeLeft());
+    if (!res.ok) continue;
+    const parsed = parseSitemap(res.text);
+    if (!parsed.urls.length) continue;
+    found = true;
+    if (!parsed.isIndex) {
+      urls.push(...parsed.urls);
+      continue;
+    }
+    for (const child of parsed.urls.slice(0, 3)) {
+      if (timeLeft() <= 0) break;
+      const c = await fetchPage(child, timeLeft());
+      if (c.ok) urls.push(...parseSitemap(c.text).urls);
+      if (urls.length >= MAX_SITEMAP_URLS) break;
+    }
+  }
+  return { found, urls: urls.slice(0, MAX_SITEMAP_URLS) };
+}
+
+function aggregate(pages) {
+  const n = pages.length;
+  const byType = { home: 0, contact: 0, services: 0, location: 0, about: 0, reviews: 0 };
+  for (const p of pages) for (const t of p.types) byType[t] = (byType[t] || 0) + 1;
+  const pct = (k) => (n ? Math.round((100 * k) / n) : 0);
+  const titles = pages.map((p) => p.title.toLowerCase()).filter(Boolean);
+
+  return {
+    pageCount: n,
+    byType,
+    hasContactPage: byType.contact > 0,
+    hasServicePages: byType.services > 0,
+    hasLocationPages: byType.location > 0,
+    hasAboutPage: byType.about > 0,
+    hasReviewsPage: byType.reviews > 0,
+    titleCoveragePct: pct(pages.filter((p) => p.signals.titleLen >= 10).length),
+    metaDescCoveragePct: pct(pages.filter((p) => p.signals.hasMetaDesc).length),
+    h1CoveragePct: pct(pages.filter((p) => p.signals.h1Count >= 1).length),
+    telPages: pages.filter((p) => p.signals.telCount > 0).length,
+    totalTelLinks: pages.reduce((a, p) => a + p.signals.telCount, 0),
+    avgWordCount: n ? Math.round(pages.reduce((a, p) => a + p.wordCount, 0) / n) : 0,
+    thinPages: pages.filter((p) => p.wordCount < 300).length,
+    duplicateTitles: titles.length - new Set(titles).size,
+  };
+}
+
+/**
+ * Crawl `startUrl`. Options: { maxPages, maxDepth, budgetMs, pageTimeoutMs, concurrency,
+ * fetchPage(url, timeoutMs) -> { ok, status, url, contentType, text } }.
+ */
+async function crawlSite(startUrl, opts = {}) {
+  const maxPages = clampInt(opts.maxPages, 1, HARD_MAX_PAGES, DEFAULTS.maxPages);
+  const maxDepth = clampInt(opts.maxDepth, 0, HARD_MAX_DEPTH, DEFAULTS.maxDepth);
+  const budgetMs = clampInt(opts.budgetMs, 1000, HARD_MAX_BUDGET_MS, DEFAULTS.budgetMs);
+  const pageTimeoutMs = clampInt(
+    opts.pageTimeoutMs,
+    1000,
+    HARD_MAX_PAGE_TIMEOUT_MS,
+    DEFAULTS.pageTimeoutMs
+  );
+  const concurrency = clampInt(opts.concurrency, 1, HARD_MAX_CONCURRENCY, DEFAULTS.concurrency);
+  const fetchPage = opts.fetchPage || fetchHtml;
+  const deadline = Date.now() + budgetMs;
+  const timeLeft = () => Math.min(pageTimeoutMs, deadline - Date.now());
+  const t0 = Date.now();
+
+  const out = {
+    ok: false,
+    startUrl,
+    limits: { maxPages, maxDepth, budgetMs },
+    robots: { found: false, disallowedSkipped: 0, sitemaps: [] },
+    sitemap: { found: false, urlCount: 0 },
+    pages: [],
+    errors: [],
+    aggregate: aggregate([]),
+    elapsedMs: 0,
+  };
+
+  // Homepage first: its final URL (after redirects) defines the canonical host.
+  const home = await fetchPage(startUrl, timeLeft());
+  if (!home.ok || !home.text) {
+    out.errors.push({
+      url: startUrl,
+      status: home.status || null,
+      error: home.reason || home.error || "fetch_failed",
+    });
+    out.elapsedMs = Date.now() - t0;
+    return out;
+  }
+  const homeUrl = home.url || startUrl;
+  const origin = new URL(homeUrl).origin;
+  const host = hostKey(new URL(homeUrl).hostname);
+  const sameSite = (u) => {
+    try {
+      return hostKey(new URL(u).hostname) === host;
+    } catch {
+      return false;
+    }
+  };
+
+  const robots = await loadRobots(origin, fetchPage, timeLeft);
+  out.robots.found = robots.found;
+  out.robots.sitemaps = robots.parsed?.sitemaps || [];
+  const allowed = (u) => isAllowed(robots.parsed, new URL(u).pathname + new URL(u).search);
+
+  const seen = new Set([homeUrl, startUrl]);
+  const queue = [];
+  const enqueue = (url, depth) => {
+    if (!url || seen.has(url) || !sameSite(url) || depth > maxDepth) return;
+    seen.add(url);
+    if (!allowed(url)) {
+      out.robots.disallowedSkipped++;
+      return;
+    }
+    queue.push({ url, depth });
+  };
+
+  const responseMeta = (r) => ({
+    headers: r.headers || {},
+    ttfbMs: r.ttfbMs,
+    elapsedMs: r.elapsedMs,
+  });
+  const homePage = pageDetails(homeUrl, home.text, 0, home.status);
+  out.pages.push({ ...homePage, html: home.text, response: responseMeta(home) });
+  const homeLinks = extractLinks(home.text, homeUrl);
+  out.pages[0].anchors = homeLinks.filter((l) => sameSite(l.href));
+
+  if (timeLeft() > 0) {
+    const sm = await loadSitemapUrls(origin, robots.parsed, fetchPage, timeLeft);
+    out.sitemap = { found: sm.found, urlCount: sm.urls.length };
+    sm.urls
+      .filter(sameSite)
+      .sort((a, b) => priorityOf(a) - priorityOf(b))
+      .forEach((u) => enqueue(canonicalize(u, origin), 1));
+  }
+  homeLinks
+    .map((l) => l.href)
+    .sort((a, b) => priorityOf(a) - priorityOf(b))
+    .forEach((u) => enqueue(u, 1));
+
+  while (queue.length && out.pages.length < maxPages && timeLeft() > 0) {
+    const room = Math.min(concurrency, maxPages - out.pages.length);
+    const batch = queue.splice(0, room);
+    const timeoutMs = timeLeft();
+    const results = await Promise.all(batch.map((item) => fetchPage(item.url, timeoutMs)));
+
+    results.forEach((res, i) => {
+      const { url, depth } = batch[i];
+      if (!res.ok || !res.text) {
+        out.errors.push({
+          url,
+          status: res.status || null,
+          error: res.reason || res.error || "fetch_failed",
+        });
+        return;
+      }
+      if (res.contentType && !/html/i.test(res.contentType)) return;
+      const finalUrl = res.url || url;
+      if (!sameSite(finalUrl)) return;
+      const page = pageDetails(finalUrl, res.text, depth, res.status);
+      const links = extractLinks(res.text, finalUrl).filter((l) => sameSite(l.href));
+      out.pages.push({ ...page, html: res.text, anchors: links, response: responseMeta(res) });
+      if (depth < maxDepth) {
+        links
+          .map((l) => l.href)
+          .sort((a, b) => priorityOf(a) - priorityOf(b))
+          .forEach((u) => enqueue(u, depth + 1));
+      }
+    });
+  }
+
+  out.ok = true;
+  out.truncated = queue.length > 0;
+  out.aggregate = aggregate(out.pages);
+  out.elapsedMs = Date.now() - t0;
+  return out;
+}
+
+// Strip raw HTML/anchors so the crawl can be returned to clients.
+function publicCrawl(crawl) {
+  if (!crawl) return null;
+  return {
+    ...crawl,
+    pages: crawl.pages.map(({ html, anchors, response, ...p }) => ({
+      ...p,
+      internalLinks: anchors ? anchors.length : 0,
+    })),
+  };
+}
+
+module.exports = { crawlSite, publicCrawl, classifyPage, extractLinks };
@@ -0,0 +1,369 @@
+/**
+ * Hardened outbound fetch for user-supplied website URLs (SSRF-safe).
+ *
+ * - http/https only, on an allow-listed set of ports
+ * - every hop's hostname is resolved and checked at connect time (no DNS-rebinding gap);
+ *   private, loopback, link-local, CGNAT, multicast and reserved ranges are refused
+ * - redirects are followed manually and capped; each hop is re-validated
+ * - raw and decompressed body sizes are capped; content types are checked
+ *
+ * Failures never throw: results carry { ok: false, reason, error } with a stable `reason`.
+ * Set SITE_FETCH_ALLOW_PRIVATE=1 to reach private addresses (local development only).
+ */
+
+const http = require("http");
+const https = require("https");
+const dns = require("dns");
+const net = require("net");
+const zlib = require("zlib");
+
+const USER_AGENT = "Mozilla/5.0 (compatible; Elev8AuditBot/1.0; +https://elev8trades.com)";
+const DEFAULTS = {
+  timeoutMs: 8000,
+  maxRedirects: 5,
+  maxBytes: 2 * 1024 * 1024,
+  maxDecompressedBytes: 6 * 1024 * 1024,
+};
+const ALLOWED_PORTS = new Set([80, 443, 8080, 8443]);
+const TEXT_TYPES = /^(text\/(html|plain|xml)|application\/(xhtml\+xml|xml|rss\+xml))\b/i;
+
+const BLOCKED = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([addr, prefix]) => BLOCKED.addSubnet(addr, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([addr, prefix]) => BLOCKED.addSubnet(addr, prefix, "ipv6"));
+
+const allowPrivate = () => process.env.SITE_FETCH_ALLOW_PRIVATE === "1";
+
+// A valid IPv6 address as eight 16-bit groups (a dotted IPv4 tail becomes the last two).
+function ipv6Groups(address) {
+  let s = address.replace(/%.*$/, "");
+  const v4 = s.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (v4) {
+    const [a, b, c, d] = v4.slice(1).map(Number);
+    s = `${s.slice(0, v4.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = s.split("::");
+  const parse = (part) => (part ? part.split(":").map((h) => parseInt(h, 16)) : []);
+  const hi = parse(head);
+  const lo = tail === undefined ? [] : parse(tail);
+  return [...hi, ...new Array(8 - hi.length - lo.length).fill(0), ...lo];
+}
+
+const v4From = (hi, lo) => [hi >> 8, hi & 255, lo >> 8, lo & 255].join(".");
+
+/**
+ * The IPv4 address an IPv6 address carries, if any: IPv4-mapped (::ffff:a.b.c.d),
+ * IPv4-compatible (::a.b.c.d) and 6to4 (2002:AABB:CCDD::/48). NAT64 is blocked outright.
+ */
+function embeddedIpv4(address) {
+  const g = ipv6Groups(address);
+  const zeros = (n) => g.slice(0, n).every((x) => x === 0);
+  if (zeros(5) && g[5] === 0xffff) return v4From(g[6], g[7]);
+  if (zeros(6)) return v4From(g[6], g[7]);
+  if (g[0] === 0x2002) return v4From(g[1], g[2]);
+  return null;
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  if (family === 6) {
+    if (BLOCKED.check(address, "ipv6")) return true;
+    const v4 = embeddedIpv4(address);
+    return v4 !== null && BLOCKED.check(v4, "ipv4");
+  }
+  return BLOCKED.check(address, "ipv4");
+}
+
+class FetchError extends Error {
+  constructor(reason, message) {
+    super(message || reason);
+    this.reason = reason;
+  }
+}
+
+// dns.lookup replacement handed to http(s).request: refuses blocked addresses at connect time.
+function guardedLookup(hostname, options, callback) {
+  const opts = typeof options === "function" ? {} : options || {};
+  const cb = typeof options === "function" ? options : callback;
+  dns.lookup(hostname, { ...opts, all: true }, (err, addresses) => {
+    if (err) return cb(new FetchError("dns_failed", `DNS lookup failed for ${hostname}`));
+    const list = addresses || [];
+    if (!list.length) return cb(new FetchError("dns_failed", `No addresses for ${hostname}`));
+    if (!allowPrivate() && list.some((a) => isBlockedAddress(a.address))) {
+      return cb(new FetchError("blocked_address", `${hostname} resolves to a private address`));
+    }
+    if (opts.all) return cb(null, list);
+    return cb(null, list[0].address, list[0].family);
+  });
+}
+
+function validateUrl(raw) {
+  let u;
+  try {
+    u = new URL(raw);
+  } catch {
+    throw new FetchError("invalid_url", `Invalid URL: ${String(raw).slice(0, 100)}`);
+  }
+  if (u.protocol !== "http:" && u.protocol !== "https:") {
+    throw new FetchError("unsupported_protocol", `Protocol ${u.protocol} not allowed`);
+  }
+  if (u.username || u.password) throw new FetchError("invalid_url", "Credentials in URL");
+  const port = Number(u.port) || (u.protocol === "https:" ? 443 : 80);
+  if (!ALLOWED_PORTS.has(port)) throw new FetchError("blocked_port", `Port ${port} not allowed`);
+  const host = u.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && !allowPrivate() && isBlockedAddress(host)) {
+    throw new FetchError("blocked_address", `${host} is a private address`);
+  }
+  if (/^localhost$|\.localhost$|\.internal$|\.local$/i.test(host) && !allowPrivate()) {
+    throw new FetchError("blocked_address", `${host} is not a public host`);
+  }
+  return u;
+}
+
+function decoderFor(encoding) {
+  switch (String(encoding || "").toLowerCase().trim()) {
+    case "gzip":
+    case "x-gzip":
+      return zlib.createGunzip();
+    case "deflate":
+      return zlib.createInflate();
+    case "br":
+      return zlib.createBrotliDecompress();
+    default:
+      return null;
+  }
+}
+
+function charsetOf(contentType) {
+  const m = String(contentType || "").match(/charset\s*=\s*["']?([\w-]+)/i);
+  return m ? m[1].toLowerCase() : "utf-8";
+}
+
+// One hop, no redirect following. Resolves { status, headers, body? } or rejects FetchError.
+function requestOnce(u, { method, deadline, readBody, limits }) {
+  return new Promise((resolvePromise, rejectPromise) => {
+    let timer = null;
+    const resolve = (v) => {
+      clearTimeout(timer);
+      resolvePromise(v);
+    };
+    const reject = (e) => {
+      clearTimeout(timer);
+      rejectPromise(e);
+    };
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) return reject(new FetchError("timeout", "Timed out"));
+
+    const lib = u.protocol === "https:" ? https : http;
+    const req = lib.request(
+      u,
+      {
+        method,
+        lookup: guardedLookup,
+        headers: {
+          "user-agent": USER_AGENT,
+          accept: "text/html,application/xhtml+xml,text/plain;q=0.9,*/*;q=0.5",
+          "accept-encoding": "gzip, deflate, br",
+        },
+      },
+      (res) => {
+        const status = res.statusCode || 0;
+        const headers = res.headers;
+        if (!readBody || method === "HEAD" || (status >= 300 && status < 400)) {
+          res.resume();
+          req.destroy();
+          return resolve({ status, headers });
+        }
+
+        let rawBytes = 0;
+        let decodedBytes = 0;
+        const chunks = [];
+        const decoder = decoderFor(headers["content-encoding"]);
+        const fail = (err) => {
+          req.destroy();
+          if (decoder) decoder.destroy();
+          reject(err);
+        };
+
+        res.on("data", (c) => {
+          rawBytes += c.length;
+          if (rawBytes > limits.maxBytes) {
+            fail(new FetchError("body_too_large", `Body exceeds ${limits.maxBytes} bytes`));
+          }
+        });
+        res.on("error", (e) =>
+          fail(e instanceof FetchError ? e : new FetchError("network_error", e.message))
+        );
+
+        const sink = decoder ? res.pipe(decoder) : res;
+        sink.on("data", (c) => {
+          decodedBytes += c.length;
+          if (decodedBytes > limits.maxDecompressedBytes) {
+            fail(
+              new FetchError(
+                "decompressed_too_large",
+                `Decompressed body exceeds ${limits.maxDecompressedBytes} bytes`
+              )
+            );
+            return;
+          }
+          chunks.push(c);
+        });
+        sink.on("error", (e) => fail(new FetchError("decode_error", e.message)));
+        sink.on("end", () => resolve({ status, headers, body: Buffer.concat(chunks), rawBytes }));
+      }
+    );
+    timer = setTimeout(() => req.destroy(new FetchError("timeout", "Timed out")), remaining);
+    req.on("error", (e) =>
+      reject(e instanceof FetchError ? e : new FetchError(e.reason || "network_error", e.message))
+    );
+    req.end();
+  });
+}
+
+/**
+ * Fetch `url` following at most `maxRedirects` validated hops.
+ * Options: { method, timeoutMs, maxRedirects, maxBytes, maxDecompressedBytes, readBody,
+ *            acceptTypes (RegExp | null) }
+ */
+async function safeFetch(url, opts = {}) {
+  const method = opts.method || "GET";
+  const timeoutMs = opts.timeoutMs || DEFAULTS.timeoutMs;
+  const maxRedirects = opts.maxRedirects ?? DEFAULTS.maxRedirects;
+  const limits = {
+    maxBytes: opts.maxBytes || DEFAULTS.maxBytes,
+    maxDecompressedBytes: opts.maxDecompressedBytes || DEFAULTS.maxDecompressedBytes,
+  };
+  const readBody = opts.readBody ?? method !== "HEAD";
+  const acceptTypes = opts.acceptTypes === undefined ? TEXT_TYPES : opts.acceptTypes;
+  const t0 = Date.now();
+  const deadline = t0 + timeoutMs;
+  const redirects = [];
+  let current = url;
+
+  try {
+    for (let hop = 0; ; hop++) {
+      const u = validateUrl(current);
+      const res = await requestOnce(u, { method, deadline, readBody, limits });
+      const location = res.headers.location;
+
+      if (res.status >= 300 && res.status < 400 && location) {
+        if (hop >= maxRedirects) {
+          throw new FetchError("too_many_redirects", `More than ${maxRedirects} redirects`);
+        }
+        redirects.push({ url: u.href, status: res.status });
+        current = new URL(location, u).href;
+        continue;
+      }
+
+      const contentType = String(res.headers["content-type"] || "");
+      const meta = {
+        status: res.status,
+        url: u.href,
+        redirected: redirects.length > 0,
+        redirects,
+        contentType,
+        headers: res.headers,
+        ttfbMs: Date.now() - t0,
+      };
+      if (res.status < 200 || res.status >= 400) {
+        return { ok: false, reason: "http_error", ...meta };
+      }
+      if (readBody && acceptTypes && contentType && !acceptTypes.test(contentType)) {
+        return { ok: false, reason: "unsupported_content_type", ...meta };
+      }
+      if (!readBody) return { ok: true, ...meta, elapsedMs: Date.now() - t0 };
+
+      let text;
+      try {
+        text = new TextDecoder(charsetOf(contentType)).decode(res.body);
+      } catch {
+        text = res.body.toString("utf8");
+      }
+      return { ok: true, ...meta, text, bytes: res.rawBytes, elapsedMs: Date.now() - t0 };
+    }
+  } catch (e) {
+    return {
+      ok: false,
+      reason: e.reason || "network_error",
+      error: e.message,
+      url: current,
+      redirects,
+    };
+  }
+}
+
+// HEAD first; servers that reject HEAD (405/501/403/400) or drop it get a bodiless GET.
+async function probeSite(url, timeoutMs = 7000) {
+  let res = await safeFetch(url, { method: "HEAD", timeoutMs });
+  const headRejected =
+    (!res.ok && [400, 403, 405, 501].includes(res.status)) ||
+    (!res.ok && res.reason === "network_error");
+  if (headRejected) res = await safeFetch(url, { method: "GET", timeoutMs, readBody: false });
+
+  const contentLength = Number(res.headers?.["content-length"]) || 0;
+  if (res.ok) return { ok: true, status: res.status, url: res.url, contentLength };
+  return { ok: false, status: res.status || null, reason: res.reason, error: res.error };
+}
+
+/** HTTPS credit: did a successful probe end on https:// (after redirects)? */
+function servedOverHttps(probe) {
+  return !!probe?.ok && /^https:\/\//i.test(probe.url || "");
+}
+
+async function fetchHtml(url, timeoutMs = 8000) {
+  return safeFetch(url, { method: "GET", timeoutMs });
+}
+
+// Does plain http:// land on https:// ? Every hop goes through the same guards.
+async function checkHttpsRedirect(url, timeoutMs = 5000) {
+  let httpUrl;
+  try {
+    const u = new URL(url);
+    u.protocol = "http:";
+    httpUrl = u.href;
+  } catch {
+    return { checked: false, reason: "invalid_url" };
+  }
+  const res = await safeFetch(httpUrl, { method: "HEAD", timeoutMs });
+  if (!res.status) return { checked: false, reason: res.reason, error: res.error };
+  return {
+    checked: true,
+    redirectsToHttps: /^https:/i.test(res.url || ""),
+    finalUrl: res.url,
+    redirects: res.redirects,
+  };
+}
+
+module.exports = {
+  safeFetch,
+  probeSite,
+  servedOverHttps,
+  fetchHtml,
+  checkHttpsRedirect,
+  isBlockedAddress,
+};
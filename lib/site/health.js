@@ -0,0 +1,166 @@
+/**
+ * Technical + mobile website health audit from a fetched page (HTML + response headers).
+ * Offline stand-in for PSI: itemized pass/fail checks and a weighted "Website Health" subscore.
+ */
+
+const { firstInner } = require("./html");
+
+const LIMITS = {
+  maxHtmlBytes: 300 * 1024,
+  maxResources: 60,
+  maxBlockingScripts: 2,
+  minAltCoverage: 0.8,
+  fastResponseMs: 1500,
+};
+
+function attr(tag, name) {
+  const m = tag.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, "i"));
+  return m ? m[1] ?? m[2] ?? m[3] : undefined;
+}
+
+function countResources(html) {
+  const scripts = (html.match(/<script\b[^<>]*\bsrc\s*=/gi) || []).length;
+  const styles = (html.match(/<link\b[^<>]*rel\s*=\s*["']?stylesheet/gi) || []).length;
+  const images = html.match(/<img\b[^<>]*>/gi) || [];
+  return { scripts, styles, images: images.length, total: scripts + styles + images.length };
+}
+
+function blockingScripts(html) {
+  const head = firstInner(html, "head") || "";
+  return (head.match(/<script\b[^<>]*>/gi) || []).filter((tag) => {
+    if (!/\bsrc\s*=/i.test(tag)) return false;
+    if (/\b(async|defer)\b/i.test(tag)) return false;
+    const type = (attr(tag, "type") || "").toLowerCase();
+    return type !== "module" && !type.includes("json");
+  }).length;
+}
+
+function altCoverage(html) {
+  const imgs = html.match(/<img\b[^<>]*>/gi) || [];
+  if (!imgs.length) return null;
+  const withAlt = imgs.filter((tag) => (attr(tag, "alt") || "").trim().length > 0).length;
+  return withAlt / imgs.length;
+}
+
+/**
+ * page: { url, html, headers, ttfbMs, elapsedMs }
+ * httpsRedirect: checkHttpsRedirect() result (optional)
+ */
+function auditSiteHealth(page, httpsRedirect = null) {
+  const html = String(page?.html || "");
+  const headers = page?.headers || {};
+  const h = (k) => String(headers[k] || headers[k.toLowerCase()] || "");
+  const isHttps = /^https:/i.test(page?.url || "");
+  const htmlTag = html.match(/<html\b[^<>]*>/i)?.[0] || "";
+  const viewportTag = html.match(/<meta\b[^<>]*name\s*=\s*["']viewport["'][^<>]*>/i)?.[0] || "";
+  const resources = countResources(html);
+  const blocking = blockingScripts(html);
+  const alt = altCoverage(html);
+  const bytes = Buffer.byteLength(html);
+  const encoding = h("content-encoding").toLowerCase();
+  const responseMs = page?.ttfbMs ?? page?.elapsedMs ?? null;
+
+  const checks = [
+    {
+      id: "https",
+      label: "Served over HTTPS",
+      weight: 15,
+      pass: isHttps,
+      value: page?.url || null,
+    },
+    {
+      id: "https_redirect",
+      label: "HTTP redirects to HTTPS",
+      weight: 10,
+      pass: httpsRedirect?.checked ? !!httpsRedirect.redirectsToHttps : null,
+      value: httpsRedirect?.finalUrl || null,
+    },
+    {
+      id: "viewport",
+      label: "Mobile viewport meta tag",
+      weight: 15,
+      pass: /width\s*=\s*device-width/i.test(attr(viewportTag, "content") || ""),
+      value: attr(viewportTag, "content") || null,
+    },
+    {
+      id: "canonical",
+      label: "Canonical URL declared",
+      weight: 5,
+      pass: /<link\b[^<>]*rel\s*=\s*["']?canonical/i.test(html),
+    },
+    {
+      id: "lang",
+      label: "<html lang> attribute",
+      weight: 5,
+      pass: !!attr(htmlTag, "lang"),
+      value: attr(htmlTag, "lang") || null,
+    },
+    {
+      id: "img_alt",
+      label: `Image alt text (≥${Math.round(LIMITS.minAltCoverage * 100)}% of images)`,
+      weight: 10,
+      pass: alt === null ? true : alt >= LIMITS.minAltCoverage,
+      value: alt === null ? null : Math.round(alt * 100),
+    },
+    {
+      id: "page_weight",
+      label: `HTML size under ${Math.round(LIMITS.maxHtmlBytes / 1024)} KB`,
+      weight: 5,
+      pass: bytes <= LIMITS.maxHtmlBytes,
+      value: bytes,
+    },
+    {
+      id: "resource_count",
+      label: `Under ${LIMITS.maxResources} scripts/styles/images`,
+      weight: 5,
+      pass: resources.total <= LIMITS.maxResources,
+      value: resources,
+    },
+    {
+      id: "render_blocking",
+      label: `At most ${LIMITS.maxBlockingScripts} render-blocking scripts in <head>`,
+      weight: 10,
+      pass: blocking <= LIMITS.maxBlockingScripts,
+      value: blocking,
+    },
+    {
+      id: "compression",
+      label: "Compressed response (gzip/br)",
+      weight: 10,
+      pass: /\b(gzip|br|deflate|zstd)\b/.test(encoding),
+      value: encoding || null,
+    },
+    {
+      id: "caching",
+      label: "Caching headers (Cache-Control / ETag / Last-Modified)",
+      weight: 5,
+      pass: !!(h("cache-control") || h("etag") || h("last-modified")),
+      value: h("cache-control") || null,
+    },
+    {
+      id: "response_time",
+      label: `Server responds in under ${LIMITS.fastResponseMs} ms`,
+      weight: 5,
+      pass: responseMs === null ? null : responseMs <= LIMITS.fastResponseMs,
+      value: responseMs,
+    },
+  ];
+
+  // Unevaluated checks (pass === null) drop out of the denominator.
+  let earned = 0;
+  let possible = 0;
+  for (const c of checks) {
+    if (c.pass === null) continue;
+    possible += c.weight;
+    if (c.pass) earned += c.weight;
+  }
+
+  return {
+    healthScore: possible ? Math.round((100 * earned) / possible) : 0,
+    passed: checks.filter((c) => c.pass === true).length,
+    failed: checks.filter((c) => c.pass === false).length,
+    checks,
+  };
+}
+
+module.exports = { auditSiteHealth };
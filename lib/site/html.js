@@ -0,0 +1,65 @@
+/**
+ * Linear-time HTML helpers shared by the site analyzers. Lazy patterns such as
+ * /<script\b[\s\S]*?<\/script>/g rescan to the end of the document for every unclosed tag, which
+ * is quadratic on hostile pages, so element bodies are found with indexOf scans instead and tag
+ * patterns stop at the next "<" ([^<>] rather than [^>]).
+ */
+
+const SKIPPED = ["script", "style", "noscript"];
+
+// Index of the next `</tag` (not `</tagname…`) at or after `from`, or -1.
+function closeIndex(lower, tag, from) {
+  const needle = `</${tag}`;
+  for (let i = lower.indexOf(needle, from); i !== -1; i = lower.indexOf(needle, i + 1)) {
+    if (!/[a-z0-9]/.test(lower[i + needle.length] || "")) return i;
+  }
+  return -1;
+}
+
+/**
+ * Every <tag …>…</tag> for the given tag names, in document order:
+ * [{ tag, open (the opening tag), inner, start, end }]. An unclosed element runs to the end of
+ * the document, as browsers treat an unclosed <script>.
+ */
+function elements(html, tags) {
+  const src = String(html || "");
+  const lower = src.toLowerCase();
+  const openRe = new RegExp(`<(${tags.join("|")})\\b[^<>]*>`, "gi");
+  const out = [];
+  let m;
+  while ((m = openRe.exec(src))) {
+    const tag = m[1].toLowerCase();
+    const innerStart = m.index + m[0].length;
+    const close = closeIndex(lower, tag, innerStart);
+    const innerEnd = close === -1 ? src.length : close;
+    const gt = close === -1 ? -1 : lower.indexOf(">", close);
+    const end = gt === -1 ? src.length : gt + 1;
+    out.push({ tag, open: m[0], inner: src.slice(innerStart, innerEnd), start: m.index, end });
+    openRe.lastIndex = end;
+  }
+  return out;
+}
+
+/** html with the given elements (default script/style/noscript) replaced by a space. */
+function stripElements(html, tags = SKIPPED) {
+  const src = String(html || "");
+  let out = "";
+  let at = 0;
+  for (const el of elements(src, tags)) {
+    out += `${src.slice(at, el.start)} `;
+    at = el.end;
+  }
+  return out + src.slice(at);
+}
+
+/** Visible text: scripts/styles dropped, tags replaced by spaces (whitespace left as is). */
+function stripTags(html) {
+  return stripElements(html).replace(/<[^<>]+>/g, " ");
+}
+
+/** Inner HTML of the first <tag>, or undefined. */
+function firstInner(html, tag) {
+  return elements(html, [tag])[0]?.inner;
+}
+
+module.exports = { elements, stripElements, stripTags, firstInner };
@@ -0,0 +1,79 @@
+/**
+ * Homepage-only website scoring for competitor sites: reachability probe, one HTML fetch,
+ * on-page signals and a /contact probe — the facts /api/analyze feeds scoreWebsite, minus the
+ * crawl and the health/schema/relevance audits. A batch shares one time budget.
+ */
+
+const { probeSite, servedOverHttps, fetchHtml } = require("./fetch");
+const { extractSiteSignals } = require("./signals");
+const { scoreWebsite } = require("../scoring");
+const { runWithLimit } = require("../limit");
+
+const DEFAULTS = {
+  budgetMs: Number(process.env.COMP_SITE_BUDGET_MS) || 20000,
+  concurrency: Number(process.env.COMP_SITE_CONCURRENCY) || 3,
+  pageTimeoutMs: 6000,
+};
+
+const skipped = (url, reason) => ({ analyzed: false, url, reason, siteScore: 0 });
+
+/** One site → { analyzed, url, finalUrl, reachable, https, contactOk, signals, siteScore }. */
+async function scoreSiteLite(url, profile, { timeoutMs = DEFAULTS.pageTimeoutMs } = {}) {
+  const probeTimeout = Math.min(profile.site.probeTimeoutMs, timeoutMs);
+  const probe = await probeSite(url, probeTimeout);
+  const htmlRes = probe.ok ? await fetchHtml(probe.url || url, timeoutMs) : { ok: false };
+  const contactOk =
+    probe.ok && profile.site.weights?.contact
+      ? (await probeSite(new URL("/contact", probe.url || url).href, probeTimeout)).ok
+      : false;
+  const facts = {
+    reachable: !!probe.ok,
+    https: servedOverHttps(probe),
+    contactOk,
+    contentLength: probe.contentLength || (htmlRes.ok ? Buffer.byteLength(htmlRes.text) : 0),
+    signals: extractSiteSignals(htmlRes.ok ? htmlRes.text : ""),
+  };
+  const { siteScore } = scoreWebsite(facts, profile);
+  return {
+    analyzed: true,
+    url,
+    finalUrl: probe.url || null,
+    reachable: facts.reachable,
+    reason: probe.ok ? null : probe.reason || "unreachable",
+    https: facts.https,
+    contactOk,
+    signals: facts.signals,
+    siteScore,
+  };
+}
+
+/**
+ * Score many sites with at most `concurrency` in flight. Sites still running when `budgetMs`
+ * runs out (or not started by then) come back { analyzed: false, reason: "budget" }.
+ * Returns results in `urls` order.
+ */
+async function scoreSitesLite(urls, profile, opts = {}) {
+  const budgetMs = opts.budgetMs || DEFAULTS.budgetMs;
+  const concurrency = opts.concurrency || DEFAULTS.concurrency;
+  const deadline = Date.now() + budgetMs;
+
+  const tasks = urls.map((url) => async () => {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) return skipped(url, "budget");
+    let timer;
+    const out = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(skipped(url, "budget")), remaining);
+    });
+    const timeoutMs = Math.min(DEFAULTS.pageTimeoutMs, remaining);
+    try {
+      return await Promise.race([scoreSiteLite(url, profile, { timeoutMs }), out]);
+    } catch {
+      return skipped(url, "error");
+    } finally {
+      clearTimeout(timer);
+    }
+  });
+  return runWithLimit(concurrency, tasks);
+}
+
+module.exports = { scoreSiteLite, scoreSitesLite, DEFAULTS };
@@ -0,0 +1,267 @@
+/**
+ * NAP (Name / Address / Phone) extraction from site HTML and consistency check against the
+ * Google Business Profile. US-centric normalization (10-digit phones, USPS suffixes).
+ */
+
+const { extractJsonLd } = require("./schema");
+const { stripTags } = require("./html");
+
+const FIELD_WEIGHTS = { name: 0.3, address: 0.35, phone: 0.35 };
+
+const STREET_SUFFIXES = {
+  street: "st",
+  avenue: "ave",
+  av: "ave",
+  boulevard: "blvd",
+  road: "rd",
+  drive: "dr",
+  lane: "ln",
+  court: "ct",
+  place: "pl",
+  parkway: "pkwy",
+  highway: "hwy",
+  circle: "cir",
+  terrace: "ter",
+  trail: "trl",
+  way: "way",
+  suite: "ste",
+  north: "n",
+  south: "s",
+  east: "e",
+  west: "w",
+  northeast: "ne",
+  northwest: "nw",
+  southeast: "se",
+  southwest: "sw",
+};
+const BIZ_SUFFIXES = /\b(inc|llc|l\.l\.c|ltd|co|corp|company|corporation|the)\b\.?/gi;
+
+const PHONE_RE = /(?:\+?1[\s.-]?)?\(?([2-9]\d{2})\)?[\s.-]?(\d{3})[\s.-]?(\d{4})\b/g;
+// "1450 Wazee St, Suite 2, Denver, CO 80202" -> [street, city, state, zip]
+const SUFFIX_ALT =
+  "street|st|avenue|ave|boulevard|blvd|road|rd|drive|dr|lane|ln|court|ct|place|pl|" +
+  "parkway|pkwy|highway|hwy|way|circle|cir|trail|trl";
+const ADDRESS_RE = new RegExp(
+  `\\b(\\d{1,6}\\s+(?:[NSEW]\\.?\\s+)?[A-Za-z0-9.'\\s]{2,40}?\\s(?:${SUFFIX_ALT})\\.?` +
+    `(?:,?\\s+(?:suite|ste|unit|#)\\s*[\\w-]+)?)[,\\s]+([A-Za-z.\\s]{2,30}),?\\s+([A-Z]{2})\\s+` +
+    `(\\d{5})(?:-\\d{4})?\\b`,
+  "gi"
+);
+
+const OG_SITE_NAME_RE = /<meta\b[^<>]+property=["']og:site_name["'][^<>]+content=["']([^"']+)["']/i;
+
+const pageText = (html) =>
+  stripTags(html)
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ");
+
+function normalizePhone(p) {
+  let d = String(p || "").replace(/\D/g, "");
+  if (d.length === 11 && d.startsWith("1")) d = d.slice(1);
+  return d.length === 10 ? d : "";
+}
+
+function normalizeAddress(a) {
+  const s = String(a || "")
+    .toLowerCase()
+    .replace(/,?\s*(usa|united states)\s*$/, "")
+    .replace(/[.,#]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return s
+    .split(" ")
+    .map((w) => STREET_SUFFIXES[w] || w)
+    .join(" ");
+}
+
+// Pulls street number, first street word, and ZIP — enough to decide "same place".
+function addressKey(a) {
+  const n = normalizeAddress(a);
+  const num = n.match(/^\d+/)?.[0] || "";
+  const street = n.replace(/^\d+\s+/, "").replace(/^(n|s|e|w)\s+/, "").split(" ")[0] || "";
+  const zipTok = n
+    .split(" ")
+    .slice(1)
+    .reverse()
+    .find((t) => /^\d{5}(-\d{4})?$/.test(t));
+  const zip = zipTok ? zipTok.slice(0, 5) : "";
+  return { num, street, zip, full: n };
+}
+
+function normalizeName(n) {
+  return String(n || "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(BIZ_SUFFIXES, " ")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function tokenOverlap(a, b) {
+  const A = new Set(normalizeName(a).split(" ").filter(Boolean));
+  const B = new Set(normalizeName(b).split(" ").filter(Boolean));
+  if (!A.size || !B.size) return 0;
+  let hit = 0;
+  for (const t of A) if (B.has(t)) hit++;
+  return hit / Math.max(A.size, B.size);
+}
+
+function jsonLdNap(html) {
+  const out = { names: [], phones: [], addresses: [] };
+  const visit = (n) => {
+    if (!n || typeof n !== "object") return;
+    if (Array.isArray(n)) return n.forEach(visit);
+    if (n["@graph"]) visit(n["@graph"]);
+    const types = [].concat(n["@type"] || []).map(String);
+    if (types.some((t) => /business|contractor|plumber|electrician|organization/i.test(t))) {
+      if (typeof n.name === "string") out.names.push(n.name);
+      if (n.telephone) out.phones.push(String(n.telephone));
+      const addr = [].concat(n.address || [])[0];
+      if (addr && typeof addr === "object") {
+        const { streetAddress, addressLocality, addressRegion, postalCode } = addr;
+        const regionZip = `${addressRegion || ""} ${postalCode || ""}`;
+        const parts = [streetAddress, addressLocality, regionZip];
+        out.addresses.push(parts.map((x) => String(x || "").trim()).filter(Boolean).join(", "));
+      } else if (typeof addr === "string") {
+        out.addresses.push(addr);
+      }
+    }
+  };
+  extractJsonLd(html).blocks.forEach(visit);
+  return out;
+}
+
+/** Extract NAP candidates from [{ url, html }] pages, most frequent first. */
+function extractSiteNap(pages) {
+  const phones = new Map();
+  const addresses = new Map();
+  const names = new Map();
+  const bump = (m, key, raw) => {
+    if (!key) return;
+    const hit = m.get(key) || { value: raw, count: 0 };
+    hit.count++;
+    m.set(key, hit);
+  };
+
+  for (const { html } of pages || []) {
+    if (!html) continue;
+    const text = pageText(html);
+
+    const telRe = /href\s*=\s*["']\s*tel:([^"']+)["']/gi;
+    let m;
+    while ((m = telRe.exec(html))) bump(phones, normalizePhone(m[1]), m[1].trim());
+    for (const pm of text.matchAll(PHONE_RE)) bump(phones, normalizePhone(pm[0]), pm[0].trim());
+
+    for (const am of text.matchAll(ADDRESS_RE)) {
+      const raw = `${am[1].trim()}, ${am[2].trim()}, ${am[3].toUpperCase()} ${am[4]}`;
+      bump(addresses, normalizeAddress(raw), raw);
+    }
+
+    const ld = jsonLdNap(html);
+    ld.phones.forEach((p) => bump(phones, normalizePhone(p), p));
+    ld.addresses.forEach((a) => bump(addresses, normalizeAddress(a), a));
+    ld.names.forEach((n) => bump(names, normalizeName(n), n));
+
+    const og = html.match(OG_SITE_NAME_RE);
+    if (og) bump(names, normalizeName(og[1]), og[1]);
+    const title = html.match(/<title[^<>]*>([^<]{0,200})<\/title>/i)?.[1];
+    if (title) {
+      // "Acme Roofing | Denver Roofer" -> the segment most likely to be the brand
+      for (const seg of title.split(/\s[|–—-]\s/)) bump(names, normalizeName(seg), seg.trim());
+    }
+  }
+
+  const ranked = (m) => [...m.values()].sort((a, b) => b.count - a.count);
+  return { phones: ranked(phones), addresses: ranked(addresses), names: ranked(names) };
+}
+
+function comparePhone(gbpPhone, sitePhones) {
+  const g = normalizePhone(gbpPhone);
+  if (!g) {
+    return { status: "missing_on_gbp", gbp: gbpPhone || null, site: sitePhones[0]?.value || null };
+  }
+  if (!sitePhones.length) return { status: "missing_on_site", gbp: gbpPhone, site: null };
+  const hit = sitePhones.find((p) => normalizePhone(p.value) === g);
+  return hit
+    ? { status: "match", gbp: gbpPhone, site: hit.value }
+    : { status: "mismatch", gbp: gbpPhone, site: sitePhones[0].value };
+}
+
+function compareAddress(gbpAddress, siteAddresses) {
+  if (!gbpAddress) {
+    return { status: "missing_on_gbp", gbp: null, site: siteAddresses[0]?.value || null };
+  }
+  if (!siteAddresses.length) return { status: "missing_on_site", gbp: gbpAddress, site: null };
+  const g = addressKey(gbpAddress);
+  let best = null;
+  for (const a of siteAddresses) {
+    const s = addressKey(a.value);
+    const numStreet = g.num && g.num === s.num && g.street && g.street === s.street;
+    const zip = g.zip && g.zip === s.zip;
+    const status =
+      numStreet && zip ? "match" : numStreet || (zip && g.num === s.num) ? "partial" : "mismatch";
+    const rank = { match: 2, partial: 1, mismatch: 0 }[status];
+    if (!best || rank > best.rank) best = { rank, status, site: a.value };
+  }
+  return { status: best.status, gbp: gbpAddress, site: best.site };
+}
+
+function compareName(gbpName, siteNames) {
+  if (!gbpName) return { status: "missing_on_gbp", gbp: null, site: siteNames[0]?.value || null };
+  if (!siteNames.length) return { status: "missing_on_site", gbp: gbpName, site: null };
+  let best = { overlap: 0, site: siteNames[0].value };
+  for (const n of siteNames) {
+    const overlap = tokenOverlap(gbpName, n.value);
+    if (overlap > best.overlap) best = { overlap, site: n.value };
+  }
+  const status = best.overlap >= 0.99 ? "match" : best.overlap >= 0.5 ? "partial" : "mismatch";
+  return { status, gbp: gbpName, site: best.site };
+}
+
+const STATUS_CREDIT = { match: 1, partial: 0.5, mismatch: 0, missing_on_site: 0 };
+
+/**
+ * Compare GBP details ({ name, formatted_address, formatted_phone_number }) with site NAP.
+ * Fields the GBP doesn't expose (e.g. hidden SAB address) are left out of the subscore.
+ */
+function checkNapConsistency(details, pages) {
+  const site = extractSiteNap(pages);
+  const fields = {
+    name: compareName(details?.name, site.names),
+    address: compareAddress(details?.formatted_address, site.addresses),
+    phone: comparePhone(details?.formatted_phone_number, site.phones),
+  };
+
+  let num = 0;
+  let den = 0;
+  for (const [k, w] of Object.entries(FIELD_WEIGHTS)) {
+    if (fields[k].status === "missing_on_gbp") continue;
+    num += w * STATUS_CREDIT[fields[k].status];
+    den += w;
+  }
+
+  const issues = Object.entries(fields)
+    .filter(([, f]) => f.status !== "match" && f.status !== "missing_on_gbp")
+    .map(([k, f]) => `${k}: ${f.status.replace(/_/g, " ")}`);
+
+  return {
+    fields,
+    consistencyScore: den ? Math.round((100 * num) / den) : null,
+    issues,
+    siteCandidates: {
+      phones: site.phones.slice(0, 5).map((p) => p.value),
+      addresses: site.addresses.slice(0, 3).map((a) => a.value),
+      names: site.names.slice(0, 3).map((n) => n.value),
+    },
+  };
+}
+
+module.exports = {
+  checkNapConsistency,
+  extractSiteNap,
+  normalizePhone,
+  normalizeAddress,
+  normalizeName,
+};
@@ -0,0 +1,178 @@
+/**
+ * Local keyword relevance: how well the site's pages target "<trade> in <city>".
+ * Scores trade and location terms across title, H1, headings, body, URLs and internal anchor
+ * text; detects dedicated service and city pages; lists the terms the site never uses.
+ */
+
+const { getTrade } = require("../trades");
+const { elements, firstInner, stripTags } = require("./html");
+
+// Zone weights for each term family (sum to 100).
+const ZONES = { title: 25, h1: 20, headings: 15, body: 10, url: 15, anchors: 15 };
+
+const US_STATES = new Set(
+  (
+    "al ak az ar ca co ct de fl ga hi id il in ia ks ky la me md ma mi mn ms mo mt ne nv nh nj " +
+    "nm ny nc nd oh ok or pa ri sc sd tn tx ut vt va wa wv wi wy dc"
+  ).split(" ")
+);
+
+const norm = (s) =>
+  ` ${String(s || "")
+    .toLowerCase()
+    .replace(/&amp;/g, "&")
+    .replace(/[_\-/]+/g, " ")
+    .replace(/[^a-z0-9&\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()} `;
+const contains = (hay, term) => hay.includes(` ${norm(term).trim()} `);
+
+/** "Denver, CO" -> { city: "Denver", state: "CO", terms: ["denver"] } */
+function parseServiceArea(area) {
+  const parts = String(area || "")
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean);
+  let state = "";
+  if (parts.length > 1 && US_STATES.has(parts[parts.length - 1].toLowerCase().slice(0, 2))) {
+    state = parts.pop().toUpperCase().slice(0, 2);
+  }
+  const city = parts[0] || "";
+  const terms = [];
+  if (city) {
+    terms.push(city.toLowerCase());
+    const bare = city.replace(/\s+(county|parish|city|township|metro)$/i, "").toLowerCase();
+    if (bare !== city.toLowerCase()) terms.push(bare);
+  }
+  return { city, state, terms };
+}
+
+function tradeTerms(businessType) {
+  const trade = getTrade(businessType);
+  if (!trade) {
+    const raw = String(businessType || "").trim().toLowerCase();
+    return raw ? [raw] : [];
+  }
+  return [...new Set([trade.label.toLowerCase(), ...trade.synonyms, ...trade.searchPhrases])];
+}
+
+function pageZones(page, inboundAnchors) {
+  const html = page.html || "";
+  const headings = elements(html, ["h2", "h3"]).map((h) => stripTags(h.inner));
+  let path = "";
+  try {
+    path = decodeURIComponent(new URL(page.url).pathname);
+  } catch {
+    /* ignore */
+  }
+  const title = page.title ?? html.match(/<title[^<>]*>([^<]{0,300})<\/title>/i)?.[1];
+  const h1 = page.h1 ?? stripTags(firstInner(html, "h1"));
+  return {
+    path,
+    title: norm(title),
+    h1: norm(h1),
+    headings: norm(headings.join(" ")),
+    body: norm(stripTags(html)),
+    url: norm(path),
+    anchors: norm(inboundAnchors.join(" ")),
+  };
+}
+
+function zoneHits(zonesList, terms) {
+  const hits = {};
+  for (const zone of Object.keys(ZONES)) {
+    hits[zone] = zonesList.some((z) => terms.some((t) => contains(z[zone], t)));
+  }
+  return hits;
+}
+
+const zoneScore = (hits) =>
+  Object.entries(ZONES).reduce((sum, [zone, w]) => sum + (hits[zone] ? w : 0), 0);
+
+/**
+ * pages: [{ url, title, h1, html, anchors: [{ href, text }], types }] — crawl pages (or the
+ * homepage alone). Returns zone coverage, service/city pages, missing terms and a 0–100 score.
+ */
+function analyzeRelevance(pages, { businessType, serviceArea } = {}) {
+  const service = tradeTerms(businessType);
+  const area = parseServiceArea(serviceArea);
+  const location = area.terms;
+
+  // Internal anchor text pointing at each URL, collected across the crawl.
+  const inbound = new Map();
+  for (const p of pages || []) {
+    for (const a of p.anchors || []) {
+      if (!a.text) continue;
+      if (!inbound.has(a.href)) inbound.set(a.href, []);
+      inbound.get(a.href).push(a.text);
+    }
+  }
+
+  const analyzed = (pages || [])
+    .filter((p) => p.html)
+    .map((p) => ({ page: p, zones: pageZones(p, inbound.get(p.url) || []) }));
+  const allZones = analyzed.map((a) => a.zones);
+
+  const serviceHits = zoneHits(allZones, service);
+  const locationHits = zoneHits(allZones, location);
+  const serviceScore = service.length ? zoneScore(serviceHits) : null;
+  const locationScore = location.length ? zoneScore(locationHits) : null;
+
+  const isHome = (a) => (a.page.types || []).includes("home") || a.zones.path === "/";
+  // Titles often carry the brand ("Contact | Acme Roofing"), so dedication = URL or H1.
+  const focused = (z, terms) => terms.some((t) => contains(z.url, t) || contains(z.h1, t));
+  const servicePages = analyzed
+    .filter((a) => !isHome(a) && focused(a.zones, service))
+    .map((a) => a.page.url);
+  const cityPages = analyzed
+    .filter((a) => !isHome(a) && focused(a.zones, location))
+    .map((a) => a.page.url);
+  const combinedInTitle = allZones.some(
+    (z) => service.some((t) => contains(z.title, t)) && location.some((t) => contains(z.title, t))
+  );
+
+  const everywhere = norm(
+    allZones.map((z) => Object.keys(ZONES).map((k) => z[k]).join(" ")).join(" ")
+  );
+  const missing = {
+    service: service.filter((t) => !contains(everywhere, t)),
+    location: location.filter((t) => !contains(everywhere, t)),
+  };
+
+  const findings = [];
+  if (service.length && !serviceHits.title) findings.push("No page title mentions the trade.");
+  if (location.length && !locationHits.title) findings.push(`No page title mentions ${area.city}.`);
+  if (service.length && location.length && !combinedInTitle) {
+    findings.push(`No page title targets "${service[0]} ${area.city}" together.`);
+  }
+  if (service.length && !servicePages.length) findings.push("No dedicated service pages found.");
+  if (location.length && !cityPages.length) {
+    findings.push(`No dedicated page for ${area.city} (service-area/city page).`);
+  }
+  if (location.length && !locationHits.body) {
+    findings.push(`${area.city} never appears in body copy.`);
+  }
+
+  // Headline score: zone coverage for both families, plus credit for dedicated pages.
+  const parts = [];
+  if (serviceScore !== null) parts.push(0.8 * serviceScore + (servicePages.length ? 20 : 0));
+  if (locationScore !== null) parts.push(0.8 * locationScore + (cityPages.length ? 20 : 0));
+  const relevanceScore = parts.length
+    ? Math.round(parts.reduce((a, b) => a + b, 0) / parts.length)
+    : null;
+
+  return {
+    area,
+    terms: { service, location },
+    service: { zones: serviceHits, score: serviceScore },
+    location: { zones: locationHits, score: locationScore },
+    combinedInTitle,
+    servicePages,
+    cityPages,
+    missing,
+    findings,
+    relevanceScore,
+  };
+}
+
+module.exports = { analyzeRelevance, parseServiceArea };
@@ -0,0 +1,121 @@
+/**
+ * robots.txt and sitemap.xml parsing for the site crawler.
+ */
+
+const CRAWLER_UA = "Elev8AuditBot";
+// Hostile robots.txt files can be huge; rules past these limits are ignored.
+const MAX_RULES = 500;
+const MAX_RULE_LENGTH = 512;
+
+function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+  let ruleCount = 0;
+
+  for (const rawLine of String(text || "").split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const m = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!m) continue;
+    const field = m[1].toLowerCase();
+    const value = m[2].trim();
+
+    if (field === "user-agent") {
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (field === "sitemap") {
+      if (value) sitemaps.push(value);
+    } else if ((field === "allow" || field === "disallow") && current) {
+      // Empty Disallow means "allow everything" — no rule needed.
+      if (value && value.length <= MAX_RULE_LENGTH && ruleCount < MAX_RULES) {
+        current.rules.push({ allow: field === "allow", path: value });
+        ruleCount++;
+      }
+    }
+  }
+  return { groups, sitemaps };
+}
+
+// `*` matches any run of characters and a trailing `$` anchors the end. Matched segment by
+// segment with indexOf (leftmost match is always safe), so it is linear — a RegExp built
+// from "*a*a*a…" backtracks exponentially.
+function ruleMatches(rulePath, path) {
+  const anchored = rulePath.endsWith("$");
+  const parts = (anchored ? rulePath.slice(0, -1) : rulePath).split("*");
+  const first = parts[0];
+  if (!path.startsWith(first)) return false;
+  if (parts.length === 1) return !anchored || path.length === first.length;
+  let pos = first.length;
+  const last = parts[parts.length - 1];
+  for (const seg of parts.slice(1, -1)) {
+    const at = path.indexOf(seg, pos);
+    if (at === -1) return false;
+    pos = at + seg.length;
+  }
+  if (anchored) return path.length - last.length >= pos && path.endsWith(last);
+  return path.indexOf(last, pos) !== -1;
+}
+
+// Longest matching rule wins; Allow beats Disallow on ties (Google semantics).
+function isAllowed(robots, path, ua = CRAWLER_UA) {
+  if (!robots || !robots.groups.length) return true;
+  const agent = ua.toLowerCase();
+  const group =
+    robots.groups.find((g) => g.agents.some((a) => a !== "*" && agent.includes(a))) ||
+    robots.groups.find((g) => g.agents.includes("*"));
+  if (!group) return true;
+
+  let best = null;
+  for (const r of group.rules) {
+    if (!ruleMatches(r.path, path)) continue;
+    if (
+      !best ||
+      r.path.length > best.path.length ||
+      (r.path.length === best.path.length && r.allow)
+    ) {
+      best = r;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+const decodeXml = (s) =>
+  s
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'");
+
+// Returns { isIndex, urls } — for a <sitemapindex>, `urls` are child sitemap URLs.
+function parseSitemap(xml) {
+  const text = String(xml || "");
+  const isIndex = /<sitemapindex\b/i.test(text);
+  const lower = text.toLowerCase();
+  const urls = [];
+  // indexOf scan: a lazy <loc>…</loc> pattern backtracks quadratically on long whitespace runs.
+  for (let at = lower.indexOf("<loc>"); at !== -1; ) {
+    const start = at + 5;
+    const end = lower.indexOf("</loc>", start);
+    if (end === -1) break;
+    const loc = text
+      .slice(start, end)
+      .trim()
+      .replace(/^<!\[CDATA\[/, "")
+      .replace(/\]\]>$/, "")
+      .trim();
+    if (loc && !loc.includes("<")) urls.push(decodeXml(loc));
+    at = lower.indexOf("<loc>", end + 6);
+  }
+  return { isIndex, urls };
+}
+
+module.exports = { CRAWLER_UA, parseRobots, isAllowed, parseSitemap };
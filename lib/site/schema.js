@@ -0,0 +1,301 @@
+/**
+ * schema.org structured data audit (JSON-LD + microdata) for local business sites.
+ * Produces typed entities, validation findings and a 0–100 subscore.
+ */
+
+const { elements } = require("./html");
+
+const LOCAL_TYPES = new Set(
+  [
+    "LocalBusiness",
+    "HomeAndConstructionBusiness",
+    "GeneralContractor",
+    "RoofingContractor",
+    "Plumber",
+    "Electrician",
+    "HVACBusiness",
+    "HousePainter",
+    "Locksmith",
+    "MovingCompany",
+    "ProfessionalService",
+    "LandscapingBusiness",
+  ].map((t) => t.toLowerCase())
+);
+const ORG_TYPES = new Set(["organization", "corporation"]);
+
+const REQUIRED = ["name", "address"];
+const RECOMMENDED = [
+  "telephone",
+  "url",
+  "image",
+  "geo",
+  "openingHours",
+  "areaServed",
+  "aggregateRating",
+  "sameAs",
+  "priceRange",
+];
+const ADDRESS_PARTS = ["streetAddress", "addressLocality", "addressRegion", "postalCode"];
+const DAY = "(Mo|Tu|We|Th|Fr|Sa|Su)";
+const OPENING_HOURS_RE = new RegExp(`^${DAY}([-,]${DAY})*\\s+\\d{2}:\\d{2}-\\d{2}:\\d{2}$`);
+
+const asArray = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]);
+const typeNames = (node) =>
+  asArray(node && node["@type"]).map((t) => String(t).replace(/^https?:\/\/schema\.org\//i, ""));
+const has = (obj, k) => {
+  const v = obj?.[k];
+  if (v == null || v === "") return false;
+  return Array.isArray(v) ? v.length > 0 : true;
+};
+
+function extractJsonLd(html) {
+  const blocks = [];
+  const errors = [];
+  for (const el of elements(html, ["script"])) {
+    if (!/\btype\s*=\s*["']application\/ld\+json["']/i.test(el.open)) continue;
+    const raw = el.inner.trim().replace(/^<!--|-->$/g, "");
+    if (!raw) continue;
+    try {
+      blocks.push(JSON.parse(raw));
+    } catch (e) {
+      errors.push(e.message.slice(0, 120));
+    }
+  }
+  return { blocks, errors };
+}
+
+// Flattens @graph containers and top-level arrays into a list of typed nodes.
+function flattenNodes(block) {
+  const out = [];
+  const visit = (n) => {
+    if (!n || typeof n !== "object") return;
+    if (Array.isArray(n)) return n.forEach(visit);
+    if (n["@graph"]) visit(n["@graph"]);
+    if (n["@type"]) out.push(n);
+  };
+  visit(block);
+  return out;
+}
+
+// Shallow microdata read: itemtype plus the itemprop names that follow it.
+function extractMicrodata(html) {
+  const out = [];
+  const re =
+    /<[^<>]+itemscope[^<>]*itemtype\s*=\s*["']https?:\/\/schema\.org\/([A-Za-z]+)["'][^<>]*>/gi;
+  const starts = [];
+  let m;
+  while ((m = re.exec(html))) starts.push({ type: m[1], index: m.index });
+  starts.forEach((s, i) => {
+    const chunk = html.slice(s.index, starts[i + 1]?.index ?? s.index + 20000);
+    const props = new Set();
+    const pr = /itemprop\s*=\s*["']([A-Za-z]+)["']/gi;
+    let p;
+    while ((p = pr.exec(chunk))) props.add(p[1]);
+    const node = { "@type": s.type };
+    for (const k of props) node[k] = true;
+    out.push(node);
+  });
+  return out;
+}
+
+function validateEntity(node, source, findings) {
+  const types = typeNames(node);
+  const isLocal = types.some((t) => LOCAL_TYPES.has(t.toLowerCase()));
+  const label = types.join("/");
+  const props = Object.keys(node).filter((k) => !k.startsWith("@"));
+  const openingHours = has(node, "openingHours") || has(node, "openingHoursSpecification");
+  const present = (k) => (k === "openingHours" ? openingHours : has(node, k));
+
+  const missingRequired = REQUIRED.filter((k) => !present(k));
+  const missingRecommended = RECOMMENDED.filter((k) => !present(k));
+
+  for (const k of missingRequired) {
+    findings.push({
+      level: "error",
+      code: `missing_${k}`,
+      message: `${label} is missing required "${k}".`,
+    });
+  }
+  for (const k of missingRecommended) {
+    findings.push({
+      level: "warning",
+      code: `missing_${k}`,
+      message: `${label} is missing recommended "${k}".`,
+    });
+  }
+
+  // Deeper checks only make sense for JSON-LD (microdata nodes carry prop names only).
+  if (source === "json-ld") {
+    const addr = asArray(node.address)[0];
+    if (addr && typeof addr === "object") {
+      const gaps = ADDRESS_PARTS.filter((k) => !has(addr, k));
+      if (gaps.length) {
+        findings.push({
+          level: "warning",
+          code: "incomplete_address",
+          message: `PostalAddress is missing ${gaps.join(", ")}.`,
+        });
+      }
+    } else if (typeof addr === "string") {
+      findings.push({
+        level: "warning",
+        code: "address_not_structured",
+        message: "address is plain text; use a PostalAddress object.",
+      });
+    }
+
+    const rating = node.aggregateRating;
+    if (rating && typeof rating === "object") {
+      const value = Number(rating.ratingValue);
+      const count = Number(rating.reviewCount ?? rating.ratingCount);
+      if (!Number.isFinite(value) || value <= 0 || value > Number(rating.bestRating || 5)) {
+        findings.push({
+          level: "error",
+          code: "invalid_rating_value",
+          message: "aggregateRating.ratingValue is missing or out of range.",
+        });
+      }
+      if (!Number.isFinite(count) || count < 1) {
+        findings.push({
+          level: "error",
+          code: "invalid_rating_count",
+          message: "aggregateRating needs reviewCount or ratingCount ≥ 1.",
+        });
+      }
+    }
+
+    for (const oh of asArray(node.openingHours)) {
+      if (typeof oh === "string" && !OPENING_HOURS_RE.test(oh.trim())) {
+        findings.push({
+          level: "warning",
+          code: "invalid_opening_hours",
+          message: `openingHours "${oh}" is not in "Mo-Fr 08:00-17:00" form.`,
+        });
+      }
+    }
+
+    for (const url of asArray(node.sameAs)) {
+      if (typeof url !== "string" || !/^https?:\/\//i.test(url)) {
+        findings.push({
+          level: "warning",
+          code: "invalid_same_as",
+          message: `sameAs entry "${String(url).slice(0, 60)}" is not an absolute URL.`,
+        });
+      }
+    }
+  }
+
+  return {
+    types,
+    source,
+    isLocalBusiness: isLocal,
+    name: typeof node.name === "string" ? node.name : null,
+    properties: props,
+    areaServed: source === "json-ld" ? asArray(node.areaServed).map(areaName).filter(Boolean) : [],
+    openingHours,
+    aggregateRating:
+      source === "json-ld" && node.aggregateRating && typeof node.aggregateRating === "object"
+        ? {
+            ratingValue: Number(node.aggregateRating.ratingValue) || null,
+            reviewCount:
+              Number(node.aggregateRating.reviewCount ?? node.aggregateRating.ratingCount) || null,
+          }
+        : null,
+    sameAs: source === "json-ld" ? asArray(node.sameAs).filter((u) => typeof u === "string") : [],
+    missingRequired,
+    missingRecommended,
+  };
+}
+
+function areaName(a) {
+  if (!a) return "";
+  if (typeof a === "string") return a;
+  return a.name || a.addressLocality || "";
+}
+
+function scoreSchema({ primary, parseErrors }) {
+  if (!primary) return 0;
+  let score = primary.isLocalBusiness ? 40 : 20;
+  score += 30 * ((REQUIRED.length - primary.missingRequired.length) / REQUIRED.length);
+  score += 30 * ((RECOMMENDED.length - primary.missingRecommended.length) / RECOMMENDED.length);
+  score -= Math.min(20, parseErrors * 10);
+  return Math.max(0, Math.min(100, Math.round(score)));
+}
+
+/**
+ * Audit structured data across one or more pages: [{ url, html }].
+ * The "primary" entity is the most complete LocalBusiness-family node (Organization fallback).
+ */
+function auditStructuredData(pages) {
+  const candidates = [];
+  let blocks = 0;
+  let parseErrors = 0;
+  const errorPages = [];
+
+  for (const { url, html } of pages || []) {
+    if (!html) continue;
+    const ld = extractJsonLd(html);
+    blocks += ld.blocks.length;
+    if (ld.errors.length) {
+      parseErrors += ld.errors.length;
+      errorPages.push({ url, errors: ld.errors });
+    }
+    for (const b of ld.blocks) {
+      for (const node of flattenNodes(b)) candidates.push({ node, source: "json-ld", url });
+    }
+    for (const node of extractMicrodata(html)) candidates.push({ node, source: "microdata", url });
+  }
+
+  const allTypes = [...new Set(candidates.flatMap((c) => typeNames(c.node)))];
+  const isBusinessType = (t) => LOCAL_TYPES.has(t.toLowerCase()) || ORG_TYPES.has(t.toLowerCase());
+  const businessLike = candidates.filter((c) => typeNames(c.node).some(isBusinessType));
+
+  const findings = [];
+  for (const e of errorPages) {
+    findings.push({
+      level: "error",
+      code: "invalid_json_ld",
+      message: `Unparseable JSON-LD on ${e.url}: ${e.errors[0]}`,
+    });
+  }
+
+  let primary = null;
+  if (businessLike.length) {
+    const ranked = businessLike
+      .map((c) => ({ c, e: validateEntity(c.node, c.source, []) }))
+      .sort(
+        (a, b) =>
+          Number(b.e.isLocalBusiness) - Number(a.e.isLocalBusiness) ||
+          Number(b.c.source === "json-ld") - Number(a.c.source === "json-ld") ||
+          b.e.properties.length - a.e.properties.length
+      );
+    const best = ranked[0];
+    primary = { ...validateEntity(best.c.node, best.c.source, findings), url: best.c.url };
+    if (!primary.isLocalBusiness) {
+      findings.push({
+        level: "warning",
+        code: "not_local_business",
+        message: `Only ${primary.types.join("/")} markup found; use LocalBusiness or a trade ` +
+          "subtype (e.g. RoofingContractor).",
+      });
+    }
+  } else {
+    findings.push({
+      level: "error",
+      code: "no_local_business",
+      message: "No LocalBusiness structured data found.",
+    });
+  }
+
+  return {
+    found: candidates.length > 0,
+    jsonLdBlocks: blocks,
+    parseErrors,
+    types: allTypes,
+    primary,
+    findings,
+    schemaScore: scoreSchema({ primary, parseErrors }),
+  };
+}
+
+module.exports = { auditStructuredData, extractJsonLd };
@@ -0,0 +1,22 @@
+/**
+ * On-page signal extraction from raw HTML (regex-based; no DOM dependency).
+ */
+
+const trimStr = (x) => String(x || "").trim();
+
+function extractSiteSignals(html) {
+  const out = { titleLen: 0, hasMetaDesc: false, telCount: 0, h1Count: 0, ctaBonus: 0 };
+  if (!html) return out;
+  const titleMatch = html.match(/<title[^<>]*>([^<]{0,300})<\/title>/i);
+  out.titleLen = titleMatch ? trimStr(titleMatch[1]).length : 0;
+  out.hasMetaDesc = /<meta\b[^<>]+name=["']description["'][^<>]*>/i.test(html);
+  const telMatches = html.match(/href\s*=\s*["']\s*tel:/gi);
+  out.telCount = telMatches ? telMatches.length : 0;
+  const h1Matches = html.match(/<h1\b[^<>]*>/gi);
+  out.h1Count = h1Matches ? h1Matches.length : 0;
+  const extra = Math.max(0, out.telCount - 1) * 2;
+  out.ctaBonus = Math.min(10, extra);
+  return out;
+}
+
+module.exports = { extractSiteSignals };
@@ -0,0 +1,232 @@
+/**
+ * Trade taxonomy — one entry per trade we audit.
+ *   id            stable key (what the widget sends as businessType)
+ *   label         display name
+ *   googleTypes   Places `types` that count as a category match
+ *   synonyms      words/phrases that identify the trade in names, summaries and free-text input
+ *   searchPhrases what a customer would type; first one is the primary competitor query
+ *   emergency     customers call at night and on weekends, so 24/7 availability matters
+ */
+
+const TRADES = [
+  {
+    id: "roofing",
+    label: "Roofing",
+    googleTypes: ["roofing_contractor"],
+    synonyms: ["roofing", "roofer", "roofers", "roof repair", "roof replacement", "re-roofing"],
+    searchPhrases: ["roofing contractor", "roofer", "roof repair"],
+  },
+  {
+    id: "plumbing",
+    label: "Plumbing",
+    googleTypes: ["plumber"],
+    synonyms: ["plumbing", "plumber", "plumbers", "drain cleaning", "water heater", "sewer"],
+    searchPhrases: ["plumber", "plumbing company", "emergency plumber"],
+    emergency: true,
+  },
+  {
+    id: "electrical",
+    label: "Electrical",
+    googleTypes: ["electrician"],
+    synonyms: ["electrical", "electrician", "electricians", "electric", "wiring", "panel upgrade"],
+    searchPhrases: ["electrician", "electrical contractor", "emergency electrician"],
+    emergency: true,
+  },
+  {
+    id: "hvac",
+    label: "HVAC",
+    googleTypes: ["hvac_contractor", "air_conditioning_contractor", "heating_contractor"],
+    synonyms: [
+      "hvac",
+      "heating",
+      "cooling",
+      "air conditioning",
+      "ac repair",
+      "furnace",
+      "heat pump",
+    ],
+    searchPhrases: ["hvac contractor", "ac repair", "furnace repair"],
+    emergency: true,
+  },
+  {
+    id: "landscaping",
+    label: "Landscaping",
+    googleTypes: ["landscaper", "landscape_designer", "lawn_care_service"],
+    synonyms: ["landscaping", "landscaper", "landscape", "lawn care", "lawn service", "hardscape"],
+    searchPhrases: ["landscaper", "landscaping company", "lawn care service"],
+  },
+  {
+    id: "masonry",
+    label: "Masonry",
+    googleTypes: ["masonry_contractor", "mason", "stone_contractor"],
+    synonyms: ["masonry", "mason", "stonework", "brick", "bricklayer", "chimney", "stone mason"],
+    searchPhrases: ["masonry contractor", "brick mason", "chimney repair"],
+  },
+  {
+    id: "concrete",
+    label: "Concrete",
+    googleTypes: ["concrete_contractor"],
+    synonyms: ["concrete", "driveway", "foundation", "flatwork", "stamped concrete"],
+    searchPhrases: ["concrete contractor", "concrete driveway contractor"],
+  },
+  {
+    id: "general_contracting",
+    label: "General Contracting",
+    googleTypes: ["general_contractor", "construction_company"],
+    synonyms: ["general contractor", "contractor", "construction", "builder", "remodeling"],
+    searchPhrases: ["general contractor", "home remodeling contractor"],
+  },
+  {
+    id: "painting",
+    label: "Painting",
+    googleTypes: ["painter", "painting_contractor"],
+    synonyms: ["painting", "painter", "painters", "house painting", "interior painting"],
+    searchPhrases: ["house painter", "painting contractor"],
+  },
+  {
+    id: "fencing",
+    label: "Fencing",
+    googleTypes: ["fence_contractor"],
+    synonyms: ["fence", "fencing", "fence installation", "gates"],
+    searchPhrases: ["fence contractor", "fence installation"],
+  },
+  {
+    id: "flooring",
+    label: "Flooring",
+    googleTypes: ["flooring_contractor", "flooring_store"],
+    synonyms: ["flooring", "floors", "hardwood", "tile", "carpet", "vinyl plank"],
+    searchPhrases: ["flooring contractor", "hardwood floor installer"],
+  },
+  {
+    id: "gutters",
+    label: "Gutters",
+    googleTypes: ["gutter_cleaning_service", "gutter_contractor"],
+    synonyms: ["gutter", "gutters", "gutter guards", "downspouts", "seamless gutters"],
+    searchPhrases: ["gutter installation", "gutter cleaning"],
+  },
+  {
+    id: "siding",
+    label: "Siding",
+    googleTypes: ["siding_contractor"],
+    synonyms: ["siding", "vinyl siding", "fiber cement", "exteriors"],
+    searchPhrases: ["siding contractor", "siding installation"],
+  },
+  {
+    id: "windows_doors",
+    label: "Windows & Doors",
+    googleTypes: ["window_installation_service", "door_supplier", "window_supplier"],
+    synonyms: ["windows", "window replacement", "doors", "door installation"],
+    searchPhrases: ["window replacement", "window and door installer"],
+  },
+  {
+    id: "garage_doors",
+    label: "Garage Doors",
+    googleTypes: ["garage_door_supplier", "garage_door_service"],
+    synonyms: ["garage door", "garage doors", "garage door repair", "overhead door"],
+    searchPhrases: ["garage door repair", "garage door installation"],
+    emergency: true,
+  },
+  {
+    id: "tree_service",
+    label: "Tree Service",
+    googleTypes: ["tree_service"],
+    synonyms: ["tree service", "tree removal", "arborist", "tree trimming", "stump grinding"],
+    searchPhrases: ["tree service", "tree removal"],
+  },
+  {
+    id: "pest_control",
+    label: "Pest Control",
+    googleTypes: ["pest_control_service", "exterminator"],
+    synonyms: ["pest control", "exterminator", "termite", "rodent control", "bed bugs"],
+    searchPhrases: ["pest control", "exterminator"],
+  },
+  {
+    id: "solar",
+    label: "Solar",
+    googleTypes: ["solar_energy_contractor", "solar_energy_company"],
+    synonyms: ["solar", "solar panels", "solar installer", "photovoltaic"],
+    searchPhrases: ["solar installer", "solar panel installation"],
+  },
+  {
+    id: "paving",
+    label: "Paving",
+    googleTypes: ["paving_contractor", "asphalt_contractor"],
+    synonyms: ["paving", "asphalt", "sealcoating", "driveway paving", "parking lot"],
+    searchPhrases: ["paving contractor", "asphalt paving"],
+  },
+  {
+    id: "handyman",
+    label: "Handyman",
+    googleTypes: ["handyman"],
+    synonyms: ["handyman", "home repair", "odd jobs"],
+    searchPhrases: ["handyman", "home repair service"],
+  },
+  {
+    id: "pool",
+    label: "Pool & Spa",
+    googleTypes: ["swimming_pool_contractor", "swimming_pool_repair_service"],
+    synonyms: ["pool", "pools", "pool builder", "pool service", "spa", "hot tub"],
+    searchPhrases: ["pool contractor", "pool service"],
+  },
+];
+
+const norm = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .replace(/[_\-]+/g, " ")
+    .replace(/[^a-z0-9&\s]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const BY_ID = new Map(TRADES.map((t) => [t.id, t]));
+
+// Accepts an id, a label or a synonym ("HVAC", "roofer", "general_contractor" ...).
+function getTrade(input) {
+  const raw = String(input || "").trim();
+  if (!raw) return null;
+  if (BY_ID.has(raw.toLowerCase())) return BY_ID.get(raw.toLowerCase());
+  const n = norm(raw);
+  return (
+    TRADES.find(
+      (t) =>
+        norm(t.label) === n ||
+        t.synonyms.some((s) => norm(s) === n) ||
+        t.googleTypes.some((g) => norm(g) === n)
+    ) || null
+  );
+}
+
+function listTrades() {
+  return TRADES.map(({ id, label, synonyms }) => ({ id, label, synonyms }));
+}
+
+/**
+ * Does a place look like this trade? Matches Google types first, then trade synonyms in the
+ * editorial summary. Unknown free-text trades fall back to a substring check on types.
+ */
+function matchesTrade(businessType, { types, summary } = {}) {
+  const cats = (types || []).map((t) => String(t).toLowerCase());
+  const trade = getTrade(businessType);
+  if (!trade) {
+    const bt = String(businessType || "").toLowerCase().trim();
+    return !!bt && cats.some((c) => c.includes(bt));
+  }
+  if (cats.some((c) => trade.googleTypes.includes(c))) return true;
+  const text = ` ${norm(summary)} `;
+  return text.trim() !== "" && trade.synonyms.some((s) => text.includes(` ${norm(s)} `));
+}
+
+// Primary search phrase for a trade (falls back to the raw input for free text).
+function searchTerm(businessType) {
+  const trade = getTrade(businessType);
+  return trade ? trade.searchPhrases[0] : String(businessType || "").trim();
+}
+
+// Competitor queries, most specific first: ["roofing contractor in Denver, CO", ...]
+function searchQueries(businessType, area) {
+  const trade = getTrade(businessType);
+  const phrases = trade ? trade.searchPhrases : [String(businessType || "").trim()];
+  return phrases.filter(Boolean).map((p) => (area ? `${p} in ${area}` : p));
+}
+
+module.exports = { TRADES, getTrade, listTrades, matchesTrade, searchTerm, searchQueries };
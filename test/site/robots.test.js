@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseRobots, isAllowed, parseSitemap } = require("../../lib/site/robots");
+
+test("wildcard rules follow Google matching", () => {
+  const robots = parseRobots(
+    [
+      "User-agent: *",
+      "Disallow: /private",
+      "Allow: /private/ok$",
+      "Disallow: /*.pdf$",
+      "Disallow: /a*b*c",
+    ].join("\n")
+  );
+  assert.strictEqual(isAllowed(robots, "/private/x"), false);
+  assert.strictEqual(isAllowed(robots, "/private/ok"), true);
+  assert.strictEqual(isAllowed(robots, "/private/ok/more"), false);
+  assert.strictEqual(isAllowed(robots, "/docs/file.pdf"), false);
+  assert.strictEqual(isAllowed(robots, "/docs/file.pdfx"), true);
+  assert.strictEqual(isAllowed(robots, "/a1b2c3"), false);
+  assert.strictEqual(isAllowed(robots, "/acb"), true);
+});
+
+test("hostile wildcard rules match in linear time", () => {
+  const robots = parseRobots(`User-agent: *\nDisallow: /${"*a".repeat(12)}b`);
+  const t0 = Date.now();
+  assert.strictEqual(isAllowed(robots, `/${"a".repeat(60)}`), true);
+  assert.strictEqual(isAllowed(robots, `/${"a".repeat(100000)}b`), false);
+  assert.ok(Date.now() - t0 < 1000);
+});
+
+test("rule count and length are capped", () => {
+  const long = `Disallow: /${"x".repeat(600)}`;
+  const many = Array.from({ length: 600 }, (_, i) => `Disallow: /p${i}`);
+  const robots = parseRobots(["User-agent: *", long, ...many, "Disallow: /last"].join("\n"));
+  assert.strictEqual(robots.groups[0].rules.length, 500);
+  assert.strictEqual(isAllowed(robots, `/${"x".repeat(600)}`), true);
+  assert.strictEqual(isAllowed(robots, "/last"), true);
+});
+
+test("sitemap <loc> parsing is linear on long whitespace runs", () => {
+  const t0 = Date.now();
+  assert.deepStrictEqual(parseSitemap(`<loc>a${" ".repeat(100000)}x`).urls, []);
+  assert.ok(Date.now() - t0 < 1000);
+  const xml =
+    "<url><LOC> https://a.com/x?a=1&amp;b=2 </LOC></url><loc><![CDATA[https://a.com/y]]></loc>";
+  assert.deepStrictEqual(parseSitemap(xml).urls, ["https://a.com/x?a=1&b=2", "https://a.com/y"]);
+});
@@ -3,6 +3,13 @@ const $ = (id) => document.getElementById(id);
 const setText = (id, txt) => { const el = $(id); if (el) el.textContent = String(txt ?? ""); };
 const setWidth = (id, pct) => { const el = $(id); if (el) el.style.width = `${Math.max(0, Math.min(100, pct||0))}%`; };
 const show = (id, on) => { const el = $(id); if (el) el.style.display = on ? "" : "none"; };
+// Third-party data (Google, competitor sites) is escaped before it reaches innerHTML.
+const ESC = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+const esc = (s) => String(s ?? "").replace(/[&<>"']/g, (c) => ESC[c]);
+// http(s) links only; javascript:, data: and unparseable URLs become "".
+const safeHref = (u) => {
+  try { const url = new URL(u); return /^https?:$/.test(url.protocol) ? url.href : ""; } catch { return ""; }
+};
 
 function banner(text, isError=false) {
   const host = $("bannerHost");
@@ -17,9 +24,10 @@ function banner(text, isError=false) {
 
 function setLoading(on) {
   show("loading", on);
-  const a = $("btnAnalyze"), c = $("btnCompetitors");
+  const a = $("btnAnalyze"), c = $("btnCompetitors"), g = $("btnRankGrid");
   if (a) a.disabled = on;
   if (c) c.disabled = on;
+  if (g) g.disabled = on;
 }
 
 // ---------- debounce (client-side flood control) ----------
@@ -46,17 +54,41 @@ function showCandidates(cands) {
   cands.forEach(c => {
     const div = document.createElement("div");
     div.className = "candidate";
-    div.innerHTML = `<strong>${c.name || "Candidate"}</strong><div class="small">${c.formatted_address || ""}</div>`;
+    const conf = typeof c.confidence === "number" ? ` <span class="small">(${Math.round(c.confidence * 100)}% match)</span>` : "";
+    div.innerHTML = `<strong>${esc(c.name || "Candidate")}</strong>${conf}<div class="small">${esc(c.formatted_address)}</div>`;
     // Debounce candidate selection to prevent spam-clicks
     div.onclick = debounce(() => runAnalyze({ placeId: c.placeId }), 500);
     list.appendChild(div);
   });
 }
 
+// ---------- Trades dropdown (from /api/trades taxonomy; widget.html's short list if it fails) ----------
+function loadTrades() {
+  const sel = $("tradeSelect");
+  if (!sel) return;
+  fetch("/api/trades")
+    .then(r => r.json())
+    .then(data => {
+      if (!data || !data.ok || !Array.isArray(data.trades)) return;
+      const current = sel.value;
+      sel.innerHTML = `<option value="">— Select —</option>`;
+      data.trades.forEach(t => {
+        const opt = document.createElement("option");
+        opt.value = t.id;
+        opt.textContent = t.label;
+        sel.appendChild(opt);
+      });
+      if (current) sel.value = current;
+    })
+    .catch(err => console.error("Trades load failed; using the built-in list", err));
+}
+
 // ---------- Map (with simple localStorage cache of src) ----------
 function renderMap(src, hasPlace) {
   const f = $("mapFrame");
   if (!f) return;
+  show("gridOverlay", false);
+  show("gridStats", false);
   if (hasPlace && src) {
     const key = `map_${src}`;
     const cached = localStorage.getItem(key);
@@ -70,7 +102,188 @@ function renderMap(src, hasPlace) {
   }
 }
 
+// ---------- "Use my location" → service area ----------
+function useMyLocation() {
+  if (!navigator.geolocation) {
+    banner("Location is not available in this browser.", true);
+    return;
+  }
+  const btn = $("btnLocate");
+  if (btn) btn.disabled = true;
+  const done = () => { if (btn) btn.disabled = false; };
+  navigator.geolocation.getCurrentPosition(
+    (pos) => {
+      const { latitude, longitude } = pos.coords;
+      fetch(`/api/reverse?lat=${latitude.toFixed(5)}&lon=${longitude.toFixed(5)}`)
+        .then(r => r.json())
+        .then(data => {
+          done();
+          if (!data.ok || !data.area) {
+            banner(data.error || "Could not work out your area.", true);
+            return;
+          }
+          $("area").value = data.area;
+          banner(`Service area set to ${data.area}.`);
+        })
+        .catch(err => {
+          done();
+          banner("Reverse geocode error.", true);
+          console.error(err);
+        });
+    },
+    () => {
+      done();
+      banner("Location permission denied — type the service area instead.", true);
+    },
+    { timeout: 10000, maximumAge: 10 * 60 * 1000 }
+  );
+}
+
+// ---------- Geo-grid rank heatmap (drawn over the map) ----------
+const rankColor = (rank) =>
+  rank === null ? "#dc2626" : rank <= 3 ? "#16a34a" : rank <= 10 ? "#ca8a04" : "#ea580c";
+
+function renderRankGrid(data) {
+  const f = $("mapFrame"), overlay = $("gridOverlay");
+  if (!f || !overlay) return;
+  if (data.mapEmbedUrl) {
+    f.src = data.mapEmbedUrl;
+    f.style.visibility = "visible";
+  } else {
+    f.removeAttribute("src");
+    f.style.visibility = "hidden";
+  }
+  show("mapHint", false);
+
+  // Same Web-Mercator scale the embed uses at this zoom, so the cells sit over their points.
+  const metersPerPx = 156543.03392 * Math.cos(data.center.lat * Math.PI / 180) / Math.pow(2, data.view.zoom);
+  const px = Math.round(data.view.spanKm * 1000 / metersPerPx);
+  overlay.style.width = `${px}px`;
+  overlay.style.height = `${px}px`;
+  overlay.style.display = "grid";
+  overlay.style.gridTemplateColumns = `repeat(${data.size}, 1fr)`;
+  overlay.innerHTML = "";
+  for (const p of data.points) {
+    const cell = document.createElement("div");
+    cell.className = "cell";
+    const dot = document.createElement("div");
+    dot.className = "dot";
+    dot.style.background = p.error ? "#9ca3af" : rankColor(p.rank);
+    dot.textContent = p.error ? "?" : (p.rank === null ? "20+" : String(p.rank));
+    dot.title = p.leader ? `#1 here: ${p.leader.name}` : "";
+    cell.appendChild(dot);
+    overlay.appendChild(cell);
+  }
+
+  const s = data.stats;
+  setText("gridStats", `${data.name || "Business"} for “${data.keyword}”, ${data.size}×${data.size} grid, ${data.spacingKm} km apart: ` +
+    `avg rank ${s.averageRank ?? "—"} · in top 3 at ${s.top3Pct}% · top 10 at ${s.top10Pct}% · found at ${s.coveragePct}% of points.`);
+  show("gridStats", true);
+}
+
+function runRankGrid() {
+  const name  = $("bName")?.value?.trim();
+  const area  = $("area")?.value?.trim();
+  const trade = $("tradeSelect")?.value?.trim();
+  const placeId = window._lastPlaceId;
+  if (!trade || !area || (!name && !placeId)) {
+    banner("Enter the business name, trade and service area to run a rank grid.", true);
+    return;
+  }
+  const q = new URLSearchParams({ businessType: trade, serviceArea: area });
+  if (placeId) q.set("placeId", placeId); else q.set("businessName", name);
+  if ($("noCache")?.checked) q.set("nocache", "1");
+
+  setLoading(true);
+  fetch(`/api/rank-grid?${q}`)
+    .then(r => r.json())
+    .then(data => {
+      setLoading(false);
+      if (!data.ok) {
+        banner(data.error || "Rank grid failed.", true);
+        return;
+      }
+      renderRankGrid(data);
+      banner(`Rank grid done: found at ${data.stats.found} of ${data.stats.points} points.`);
+    })
+    .catch(err => {
+      setLoading(false);
+      banner("Rank grid error.", true);
+      console.error(err);
+    });
+}
+
+// ---------- Website health (failed checks only) ----------
+// One line from the analyze `reviews` block: recency, pace, replies, recurring themes
+function reviewsSummary(rev) {
+  if (!rev || !rev.sampleSize) return "";
+  const parts = [];
+  if (rev.daysSinceLast != null) parts.push(`Last review ${rev.daysSinceLast}d ago`);
+  if (rev.velocity?.perMonth != null) parts.push(`~${rev.velocity.perMonth}/mo`);
+  if (rev.ownerResponse?.measured) parts.push(`${Math.round(rev.ownerResponse.rate * 100)}% replied`);
+  const praise = (rev.themes?.positive || []).filter(t => t.recurring).map(t => t.label);
+  const gripes = (rev.themes?.negative || []).filter(t => t.recurring).map(t => t.label);
+  if (praise.length) parts.push(`Praised: ${praise.join(", ")}`);
+  if (gripes.length) parts.push(`Complaints: ${gripes.join(", ")}`);
+  return parts.join(" · ");
+}
+
+// One line from the analyze `hours` block: open days, weekend, 24/7 and open-now
+function hoursSummary(h) {
+  if (!h || !h.source) return "";
+  if (!h.listed) return "No weekly hours on the profile";
+  const parts = [];
+  if (h.is24x7) parts.push("Open 24/7");
+  else {
+    parts.push(`Open ${h.daysOpen} day${h.daysOpen === 1 ? "" : "s"}/week`);
+    parts.push(h.weekend.saturday || h.weekend.sunday ? "weekends" : "closed weekends");
+    if (h.weeklyHours != null) parts.push(`${h.weeklyHours} h`);
+  }
+  if (h.emergency.expected && !h.emergency.offered) parts.push("no emergency hours");
+  if (h.openNow != null) parts.push(h.openNow ? "open now" : "closed now");
+  return parts.join(" · ");
+}
+
+// Storefront vs. service-area profile and how far it sits from the target area
+function renderCoverage(cov) {
+  const el = $("coverageLine");
+  if (!el) return;
+  if (!cov || !cov.type || cov.type === "unknown") { el.style.display = "none"; return; }
+  const kind = cov.sab ? "Service-area business" : "Storefront";
+  const where = cov.serviceArea ? ` from ${cov.serviceArea}` : "";
+  const dist = cov.distanceKm !== null && cov.distanceKm !== undefined ? ` · ${cov.distanceKm} km${where}` : "";
+  const verdict = cov.covers === false ? ` — outside a ${cov.radiusKm} km radius` : cov.covers ? " — covers the area" : "";
+  el.textContent = kind + dist + verdict;
+  el.style.display = "";
+}
+
+function renderHealth(health) {
+  setWidth("bar-health", health ? health.healthScore : 0);
+  const list = $("healthFails");
+  if (!list) return;
+  list.innerHTML = "";
+  (health?.checks || []).filter(c => c.pass === false).forEach(c => {
+    const li = document.createElement("li");
+    li.textContent = `✗ ${c.label}`;
+    list.appendChild(li);
+  });
+}
+
 // ---------- Analyze ----------
+// Rep-entered facts for quick mode; blanks are left out so cached data can fill them.
+function quickFacts() {
+  const facts = {};
+  [["qRating", "rating"], ["qReviews", "reviews"], ["qPhotos", "photos"]].forEach(([id, k]) => {
+    const v = $(id)?.value?.trim();
+    if (v) facts[k] = Number(v);
+  });
+  [["qHours", "hours"], ["qWebsite", "hasWebsite"]].forEach(([id, k]) => {
+    const v = $(id)?.value;
+    if (v) facts[k] = v === "yes";
+  });
+  return facts;
+}
+
 function runAnalyze(overrides = {}) {
   // reset UI
   showCandidates(null);
@@ -78,6 +291,7 @@ function runAnalyze(overrides = {}) {
   setText("statusPill", "—");
   show("ceilingLine", false);
 
+  const quick = !!$("quick")?.checked;
   const body = {
     businessName: $("bName")?.value,
     serviceArea: $("area")?.value,
@@ -85,10 +299,11 @@ function runAnalyze(overrides = {}) {
     websiteUrl: $("webUrl")?.value,
     fast: $("fast")?.checked ? 1 : 0,
     siteOnly: $("siteOnly")?.checked ? 1 : 0,
+    ...(quick ? { facts: quickFacts() } : {}),
     ...overrides
   };
 
-  const url = "/api/analyze?nocache=" + ($("noCache")?.checked ? "1" : "0");
+  const url = "/api/analyze?nocache=" + ($("noCache")?.checked ? "1" : "0") + (quick ? "&quick=1" : "");
 
   setLoading(true);
   fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) })
@@ -97,11 +312,15 @@ function runAnalyze(overrides = {}) {
       setLoading(false);
 
       if (data && data.success === false) {
+        renderReportLinks(null);
+        renderRecommendations(null);
+        renderCoverage(null);
+        initSimulator(null);
         if (data.status === "NEEDS_INPUT" && Array.isArray(data.candidates)) {
-          banner("Need a service area or pick from candidates to continue.", true);
+          banner(data.message || "Need a service area or pick from candidates to continue.", true);
           showCandidates(data.candidates);
         } else {
-          banner(data.message || "Could not analyze this business.", true);
+          banner(data.message || data.error || "Could not analyze this business.", true);
         }
         return;
       }
@@ -110,11 +329,15 @@ function runAnalyze(overrides = {}) {
       setText("rationale", data.rationale || "");
       setText("statusPill", data.status || data.path || "—");
       show("ceilingLine", !!data.ceiling);
+      renderReportLinks(data.auditId);
+      renderRecommendations(data.recommendations);
+      initSimulator(data);
 
       // Bars / Map
       const siteOnlyMode = (data.status === "SITE_ONLY" || data.status === "SITE_ONLY_FORCED");
       const hasPlace = !siteOnlyMode && !!data.placeId && (data.path === "GBP_ONLY" || data.path === "BLENDED_60_40");
       renderMap(data.mapEmbedUrl, hasPlace);
+      window._lastPlaceId = hasPlace ? data.placeId : null;
       show("mapHint", !hasPlace);
 
       if (data.gbp) {
@@ -124,9 +347,14 @@ function runAnalyze(overrides = {}) {
         setWidth("bar-photos",   data.gbp.photosPct);
         setWidth("bar-hours",    data.gbp.hoursPct);
       }
+      setWidth("bar-reviews", data.reviews?.reviewsScore || 0);
+      setText("reviewsLine", reviewsSummary(data.reviews));
+      setText("hoursLine", hoursSummary(data.hours));
       if (siteOnlyMode) {
-        ["bar-rating","bar-volume","bar-category","bar-photos","bar-hours"].forEach(id => setWidth(id, 0));
+        ["bar-rating","bar-volume","bar-category","bar-photos","bar-hours","bar-reviews"].forEach(id => setWidth(id, 0));
       }
+      renderHealth(data.site?.health);
+      renderCoverage(data.coverage);
 
       // Banners
       if (data.status === "SITE_ONLY") {
@@ -140,6 +368,10 @@ function runAnalyze(overrides = {}) {
       } else {
         banner("");
       }
+      if (data.estimate) {
+        const c = data.confidence || {};
+        banner(`Quick estimate — ${c.level || "low"} confidence, no API calls made.${(data.assumptions || []).length ? ` Assumed: ${data.assumptions.join("; ")}.` : ""}`);
+      }
 
       if (Array.isArray(data.candidates) && data.candidates.length) {
         showCandidates(data.candidates);
@@ -152,6 +384,89 @@ function runAnalyze(overrides = {}) {
     });
 }
 
+// ---------- Report links ----------
+function renderReportLinks(auditId) {
+  show("reportLinks", !!auditId);
+  if (!auditId) return;
+  const base = `/api/audits/${encodeURIComponent(auditId)}/report`;
+  $("reportHtml").href = base;
+  $("reportPdf").href = `${base}?format=pdf`;
+}
+
+// ---------- What-if simulator ----------
+// Controls start at the audit's own inputs; only controls the user moves are sent as overrides.
+const SIM_CONTROLS = {
+  rating:        { id: "simRating",    get: (i) => i.gbp?.rating ?? 0,           read: (el) => Number(el.value) },
+  reviews:       { id: "simReviews",   get: (i) => i.gbp?.reviews ?? 0,          read: (el) => Number(el.value) },
+  photos:        { id: "simPhotos",    get: (i) => i.gbp?.photos ?? 0,           read: (el) => Number(el.value) },
+  hours:         { id: "simHours",     get: (i) => !!i.gbp?.hasHours,            read: (el) => el.checked },
+  categoryMatch: { id: "simCategory",  get: (i) => !!i.gbp?.categoryMatch,       read: (el) => el.checked },
+  siteReachable: { id: "simReachable", get: (i) => !!i.siteReachable,            read: (el) => el.checked },
+  https:         { id: "simHttps",     get: (i) => !!i.site?.https,              read: (el) => el.checked },
+  contactOk:     { id: "simContact",   get: (i) => !!i.site?.contactOk,          read: (el) => el.checked },
+};
+let simState = null;
+
+function setSimControl(key, value) {
+  const el = $(SIM_CONTROLS[key].id);
+  if (!el) return;
+  if (el.type === "checkbox") el.checked = !!value;
+  else el.value = value;
+}
+
+function updateSimLabels() {
+  setText("simRatingVal", Number($("simRating").value).toFixed(1));
+  setText("simReviewsVal", $("simReviews").value);
+  setText("simPhotosVal", $("simPhotos").value);
+}
+
+function initSimulator(data) {
+  simState = data?.scoringInputs ? { inputs: data.scoringInputs, version: data.scoringVersion, finalScore: data.finalScore } : null;
+  show("simCard", !!simState);
+  if (!simState) return;
+  Object.entries(SIM_CONTROLS).forEach(([k, c]) => setSimControl(k, c.get(simState.inputs)));
+  updateSimLabels();
+  setText("simScore", Math.round(simState.finalScore ?? 0));
+  setText("simDelta", "");
+  setText("simPath", "");
+}
+
+function runSimulate() {
+  if (!simState) return;
+  updateSimLabels();
+  const overrides = {};
+  Object.entries(SIM_CONTROLS).forEach(([k, c]) => {
+    const v = c.read($(c.id));
+    const base = c.get(simState.inputs);
+    if (typeof v === "number" ? Math.abs(v - base) > 1e-9 : v !== base) overrides[k] = v;
+  });
+  fetch("/api/simulate", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ scoringInputs: simState.inputs, scoringVersion: simState.version, overrides }),
+  })
+    .then(r => r.json())
+    .then(data => {
+      if (!data?.ok) return;
+      const d = data.deltas?.finalScore || 0;
+      setText("simScore", data.simulated.finalScore);
+      setText("simDelta", d ? `(${d > 0 ? "+" : ""}${d})` : "");
+      setText("simPath", data.pathChanged ? `· ${data.base.status} → ${data.simulated.status}` : `· ${data.simulated.status}`);
+    })
+    .catch(err => console.error(err));
+}
+
+const runSimulateDebounced = debounce(runSimulate, 250);
+Object.values(SIM_CONTROLS).forEach((c) => {
+  const el = $(c.id);
+  if (el) el.addEventListener(el.type === "checkbox" ? "change" : "input", runSimulateDebounced);
+});
+$("simReset").addEventListener("click", () => {
+  if (!simState) return;
+  Object.entries(SIM_CONTROLS).forEach(([k, c]) => setSimControl(k, c.get(simState.inputs)));
+  runSimulate();
+});
+
 // ---------- Competitors ----------
 let compSortKey = "rating";
 let compSortDir = "desc";
@@ -196,41 +511,65 @@ function renderCompetitors(payload) {
   tbody.innerHTML = "";
   for (const it of items) {
     const tr = document.createElement("tr");
+    if (it.isTarget) tr.className = "you";
+    const site = safeHref(it.website);
+    const maps = safeHref(it.mapsLink);
     tr.innerHTML = `
-      <td><strong>${it.rank ? `#${it.rank} ` : ""}${it.name || ""}</strong></td>
-      <td class="nowrap">${(it.rating ?? 0).toFixed(1)}</td>
-      <td class="nowrap">${it.reviews ?? 0}</td>
-      <td>${(it.types && it.types[0]) ? it.types[0].replace(/_/g," ") : ""}</td>
-      <td>${it.address || ""}</td>
+      <td><strong>${it.rank ? `#${it.rank} ` : ""}${esc(it.name)}</strong>${it.isTarget ? ' <span class="tag">You</span>' : ""}</td>
+      <td class="nowrap">${(Number(it.rating) || 0).toFixed(1)}</td>
+      <td class="nowrap">${Number(it.reviews) || 0}</td>
+      <td>${(it.types && it.types[0]) ? esc(it.types[0].replace(/_/g," ")) : ""}</td>
+      <td>${esc(it.address)}</td>
       <td class="nowrap">${it.openNow === null ? "—" : (it.openNow ? "Open" : "Closed")}</td>
-      <td class="nowrap">${it.photosCount || 0}</td>
+      <td class="nowrap">${it.distanceKm == null ? "—" : `${esc(it.distanceKm)} km`}</td>
+      <td class="nowrap">${Number(it.photosCount) || 0}</td>
+      <td class="nowrap">${it.siteScore == null ? "—" : esc(it.siteScore)}${it.site && !it.site.reachable ? ` <span class="tag">${esc(it.site.reason || "down")}</span>` : ""}</td>
       <td class="nowrap">
-        ${it.website ? `<a href="${it.website}" target="_blank" rel="noopener">Site</a> · ` : ""}
-        <a href="${it.mapsLink}" target="_blank" rel="noopener">Maps</a>
+        ${site ? `<a href="${esc(site)}" target="_blank" rel="noopener">Site</a>` : ""}${site && maps ? " · " : ""}
+        ${maps ? `<a href="${esc(maps)}" target="_blank" rel="noopener">Maps</a>` : ""}
       </td>
     `;
     tbody.appendChild(tr);
   }
 
-  meta.textContent = `${payload.total} competitors for “${payload.trade}” in “${payload.area}”. Click headers to sort.`;
+  const t = payload.target;
+  setText("compTarget", t ? `${t.summary}${gapDetail(t.gaps && t.gaps.leader)}` : "");
+  show("compTarget", !!t);
+  const rivals = payload.items.filter(it => !it.isTarget).length;
+  meta.textContent = `${rivals} competitors for “${payload.tradeLabel || payload.trade}” in “${payload.area}”.${payload.rankedBy === "finalScore" ? " Ranked by blended GBP + website score." : ""} Click headers to sort.`;
   card.style.display = "";
 }
 
+// "Leader: 96 more reviews, 0.3★ higher, 12 more photos, lists hours."
+function gapDetail(g) {
+  if (!g) return "";
+  const parts = [];
+  if (g.reviewsBehind > 0) parts.push(`${g.reviewsBehind} more reviews`);
+  if (g.ratingDelta < 0) parts.push(`${Math.abs(g.ratingDelta).toFixed(1)}★ higher`);
+  if (g.photosDelta < 0) parts.push(`${Math.abs(g.photosDelta)} more photos`);
+  if (g.hours && g.hours.them && !g.hours.you) parts.push("lists hours");
+  if (g.website && g.website.them && !g.website.you) parts.push("has a website");
+  return parts.length && g.scoreDelta < 0 ? ` ${g.name || "Leader"}: ${parts.join(", ")}.` : "";
+}
+
 function runCompetitors() {
   const name  = $("bName")?.value?.trim();
   const area  = $("area")?.value?.trim();
   const trade = $("tradeSelect")?.value?.trim();
   const noc   = $("noCache")?.checked ? "1" : "0";
+  const sites = $("compSites")?.checked ? "&sites=1" : "";
 
   let url;
   if (name && area && trade) {
-    url = `/api/competitive-snapshot?nocache=${noc}&businessName=${encodeURIComponent(name)}&serviceArea=${encodeURIComponent(area)}&businessType=${encodeURIComponent(trade)}`;
+    url = `/api/competitive-snapshot?nocache=${noc}&businessName=${encodeURIComponent(name)}&serviceArea=${encodeURIComponent(area)}&businessType=${encodeURIComponent(trade)}&includeTarget=1`;
+    if (window._lastPlaceId) url += `&placeId=${encodeURIComponent(window._lastPlaceId)}`;
   } else if (trade && area) {
     url = `/api/competitive-snapshot?nocache=${noc}&businessType=${encodeURIComponent(trade)}&serviceArea=${encodeURIComponent(area)}`;
   } else {
     banner("Enter a trade and service area (and optionally the business name) to load competitors.", true);
     return;
   }
+  url += sites;
 
   setLoading(true);
   fetch(url)
@@ -253,7 +592,7 @@ function runCompetitors() {
 }
 
 // Simple sortable headers (+keyboard)
-["name","rating","reviews","types","address","openNow","photosCount"].forEach(k => {
+["name","rating","reviews","types","address","openNow","distanceKm","photosCount","siteScore"].forEach(k => {
   const ths = document.querySelectorAll(`th[data-k="${k}"]`);
   ths.forEach(th => {
     const handler = () => {
@@ -273,14 +612,51 @@ function updatePlaybookTitle() {
   const text = sel?.options?.[sel.selectedIndex]?.text;
   setText("pb-title", (text && text !== "— Select —") ? `${text} Local Visibility Playbook` : "Local Services Playbook");
 }
+// Ranked actions from the last analysis replace the generic playbook.
+function renderRecommendations(list) {
+  const ol = $("pb-actions");
+  if (!ol) return;
+  ol.innerHTML = "";
+  const items = Array.isArray(list) ? list : [];
+  show("pb-empty", items.length === 0);
+  items.forEach((r) => {
+    const li = document.createElement("li");
+    const title = document.createElement("strong");
+    title.textContent = r.title;
+    li.appendChild(title);
+    const gain = r.uplift > 0 ? `+${r.uplift} pts` : r.subscore?.gain > 0 ? `+${r.subscore.gain} ${r.subscore.name.replace(/Score$/, "")}` : "";
+    if (gain) {
+      const pts = document.createElement("span");
+      pts.className = "pts";
+      pts.textContent = ` ${gain}`;
+      li.appendChild(pts);
+    }
+    [r.effort && `${r.effort} effort`, r.category].filter(Boolean).forEach((t) => {
+      const tag = document.createElement("span");
+      tag.className = "tag";
+      tag.textContent = t;
+      li.appendChild(tag);
+    });
+    if (r.detail) {
+      const d = document.createElement("div");
+      d.textContent = r.detail;
+      li.appendChild(d);
+    }
+    ol.appendChild(li);
+  });
+}
 function openPlaybook() { updatePlaybookTitle(); $("playbookBackdrop").style.display = "flex"; }
 function closePlaybook() { $("playbookBackdrop").style.display = "none"; }
 
 // ---------- Wire up (debounced buttons) ----------
 $("btnAnalyze").addEventListener("click", debounce(() => runAnalyze(), 500));
 $("btnCompetitors").addEventListener("click", debounce(runCompetitors, 500));
+$("btnRankGrid").addEventListener("click", debounce(runRankGrid, 500));
+$("btnLocate").addEventListener("click", useMyLocation);
 $("btnPlaybook").addEventListener("click", openPlaybook);
 $("pb-close-1").addEventListener("click", closePlaybook);
 $("pb-close-2").addEventListener("click", closePlaybook);
 $("playbookBackdrop").addEventListener("click", (e) => { if (e.target.id === "playbookBackdrop") closePlaybook(); });
 $("tradeSelect").addEventListener("change", updatePlaybookTitle);
+$("quick").addEventListener("change", () => show("quickFacts", $("quick").checked));
+loadTrades();